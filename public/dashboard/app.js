@@ -0,0 +1,268 @@
+// Attendance dashboard: plain DOM + SVG, data from /api/dashboard/*
+(function () {
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const STATE_LABELS = {
+    working: 'Working',
+    lunch: 'On lunch',
+    break: 'On a break',
+    left: 'Left',
+    leave: 'On leave',
+    'not-arrived': 'Not arrived'
+  };
+  const HEAT_COLORS = ['#ebedf0', '#c6e48b', '#7bc96f', '#239a3b', '#196127'];
+
+  const $ = id => document.getElementById(id);
+
+  async function api(path, params) {
+    const response = await fetch(`/api/dashboard/${path}?${new URLSearchParams(params)}`, { credentials: 'same-origin' });
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.error || `${path}: HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  function element(tag, attributes, text) {
+    const node = document.createElement(tag);
+    Object.entries(attributes || {}).forEach(([name, value]) => node.setAttribute(name, value));
+    if (text !== undefined && text !== null) {
+      node.textContent = text;
+    }
+    return node;
+  }
+
+  function svgElement(tag, attributes, text) {
+    const node = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes || {}).forEach(([name, value]) => node.setAttribute(name, value));
+    if (text !== undefined) {
+      node.textContent = text;
+    }
+    return node;
+  }
+
+  function showError(container, error) {
+    container.replaceChildren(element('p', { class: 'muted' }, error.message));
+  }
+
+  function filters() {
+    const params = { team: $('team').value };
+    if ($('from').value) {
+      params.from = $('from').value;
+    }
+    if ($('to').value) {
+      params.to = $('to').value;
+    }
+    return params;
+  }
+
+  // ---------- Today board ----------
+
+  async function loadBoard() {
+    const tbody = $('board').querySelector('tbody');
+    try {
+      const board = await api('today', { team: $('team').value });
+      $('board-date').textContent = `${board.date} (${board.timezone})`;
+
+      $('board-counts').replaceChildren(...Object.keys(STATE_LABELS)
+        .filter(state => board.counts[state])
+        .map(state => element('span', { class: `state state-${state}` }, `${STATE_LABELS[state]}: ${board.counts[state]}`)));
+
+      tbody.replaceChildren(...board.people.map(person => {
+        const row = element('tr');
+        row.appendChild(element('td', {}, person.employeeName));
+        const state = element('td');
+        state.appendChild(element('span', { class: `state state-${person.state}` }, STATE_LABELS[person.state] || person.state));
+        if (person.flags && person.flags.length > 0) {
+          state.appendChild(element('span', { title: person.flags.join('\n') }, ' ⚠️'));
+        }
+        row.appendChild(state);
+        row.appendChild(element('td', {}, person.since ? `${person.since} (${person.keyword})` : '-'));
+        row.appendChild(element('td', {}, person.netWorkingHours || '-'));
+        return row;
+      }));
+    } catch (error) {
+      tbody.replaceChildren();
+      showError($('board-counts'), error);
+    }
+  }
+
+  // ---------- Heatmap ----------
+
+  async function loadEmployees() {
+    const { employees } = await api('employees', filters());
+    const select = $('employee');
+    const previous = select.value;
+
+    select.replaceChildren(...employees.map(employee => element('option', { value: employee.userId }, employee.employeeName)));
+    if (employees.some(employee => employee.userId === previous)) {
+      select.value = previous;
+    }
+  }
+
+  async function loadHeatmap() {
+    const container = $('heatmap');
+    if (!$('employee').value) {
+      container.replaceChildren(element('p', { class: 'muted' }, 'No summaries in this range.'));
+      return;
+    }
+
+    try {
+      const heatmap = await api('heatmap', { ...filters(), userId: $('employee').value });
+      renderHeatmap(container, heatmap);
+    } catch (error) {
+      showError(container, error);
+    }
+  }
+
+  function heatColor(hours) {
+    if (!hours) {
+      return HEAT_COLORS[0];
+    }
+    return HEAT_COLORS[Math.min(HEAT_COLORS.length - 1, Math.ceil(hours / 2.5))];
+  }
+
+  // One column per ISO week, one row per weekday (Monday on top)
+  function renderHeatmap(container, { from, to, days }) {
+    const byDate = new Map(days.map(day => [day.date, day]));
+    const cell = 14;
+    const gap = 3;
+    const left = 30;
+    const top = 16;
+
+    const start = new Date(`${from}T00:00:00Z`);
+    const end = new Date(`${to}T00:00:00Z`);
+    const firstMonday = new Date(start);
+    firstMonday.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    const weeks = Math.floor((end - firstMonday) / (7 * 86400000)) + 1;
+
+    const svg = svgElement('svg', { width: left + weeks * (cell + gap), height: top + 7 * (cell + gap) + 24 });
+    ['Mon', '', 'Wed', '', 'Fri', '', ''].forEach((label, row) => {
+      svg.appendChild(svgElement('text', { x: 0, y: top + row * (cell + gap) + cell - 3, 'font-size': 10, fill: '#888' }, label));
+    });
+
+    for (const day = new Date(start); day <= end; day.setUTCDate(day.getUTCDate() + 1)) {
+      const date = day.toISOString().slice(0, 10);
+      const week = Math.floor((day - firstMonday) / (7 * 86400000));
+      const row = (day.getUTCDay() + 6) % 7;
+      const summary = byDate.get(date);
+
+      if (day.getUTCDate() === 1 || date === from) {
+        svg.appendChild(svgElement('text', { x: left + week * (cell + gap), y: 10, 'font-size': 10, fill: '#888' }, date.slice(0, 7)));
+      }
+
+      const rect = svgElement('rect', {
+        x: left + week * (cell + gap),
+        y: top + row * (cell + gap),
+        width: cell,
+        height: cell,
+        rx: 2,
+        fill: heatColor(summary && summary.netHours)
+      });
+      const status = summary && summary.status && summary.status !== '-' ? ` – ${summary.status}` : '';
+      rect.appendChild(svgElement('title', {}, summary ? `${date}: ${summary.netWorkingHours}${status}` : `${date}: -`));
+      svg.appendChild(rect);
+    }
+
+    // Legend
+    const legend = svgElement('g', { class: 'legend', transform: `translate(${left}, ${top + 7 * (cell + gap) + 6})` });
+    legend.appendChild(svgElement('text', { x: 0, y: 10, 'font-size': 10, fill: '#888' }, '0h'));
+    HEAT_COLORS.forEach((color, index) => {
+      legend.appendChild(svgElement('rect', { x: 18 + index * (cell + 2), y: 0, width: cell, height: cell - 2, fill: color }));
+    });
+    legend.appendChild(svgElement('text', { x: 22 + HEAT_COLORS.length * (cell + 2), y: 10, 'font-size': 10, fill: '#888' }, '10h+'));
+    svg.appendChild(legend);
+
+    container.replaceChildren(svg);
+  }
+
+  // ---------- Trends ----------
+
+  async function loadTrends() {
+    try {
+      const trends = await api('trends', filters());
+      renderLineChart($('trend-hours'), trends.days, [
+        { key: 'averageNetHours', label: 'Average net hours', color: '#1264a3' }
+      ]);
+      renderLineChart($('trend-people'), trends.days, [
+        { key: 'present', label: 'Present', color: '#2eb67d' },
+        { key: 'late', label: 'Late', color: '#ecb22e' },
+        { key: 'absent', label: 'Absent', color: '#e01e5a' }
+      ]);
+    } catch (error) {
+      showError($('trend-hours'), error);
+      $('trend-people').replaceChildren();
+    }
+  }
+
+  function renderLineChart(container, days, series) {
+    if (days.length === 0) {
+      container.replaceChildren(element('p', { class: 'muted' }, 'No data in this range.'));
+      return;
+    }
+
+    const width = 1000;
+    const height = 200;
+    const pad = { left: 36, right: 12, top: 12, bottom: 36 };
+    const max = Math.max(1, ...days.flatMap(day => series.map(line => day[line.key])));
+    const x = index => pad.left + (days.length === 1 ? 0 : index * (width - pad.left - pad.right) / (days.length - 1));
+    const y = value => height - pad.bottom - value / max * (height - pad.top - pad.bottom);
+
+    const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}`, width: '100%' });
+
+    // Axes: 0, max/2 and max on the left, first / middle / last date below
+    [0, max / 2, max].forEach(value => {
+      svg.appendChild(svgElement('line', { x1: pad.left, x2: width - pad.right, y1: y(value), y2: y(value), stroke: '#eee' }));
+      svg.appendChild(svgElement('text', { x: 0, y: y(value) + 4, 'font-size': 11, fill: '#888' }, String(Math.round(value * 10) / 10)));
+    });
+    [...new Set([0, Math.floor((days.length - 1) / 2), days.length - 1])].forEach(index => {
+      svg.appendChild(svgElement('text', { x: x(index) - 30, y: height - 18, 'font-size': 11, fill: '#888' }, days[index].date));
+    });
+
+    series.forEach((line, lineIndex) => {
+      svg.appendChild(svgElement('polyline', {
+        points: days.map((day, index) => `${x(index)},${y(day[line.key])}`).join(' '),
+        fill: 'none',
+        stroke: line.color,
+        'stroke-width': 2
+      }));
+      days.forEach((day, index) => {
+        const dot = svgElement('circle', { cx: x(index), cy: y(day[line.key]), r: 3, fill: line.color });
+        dot.appendChild(svgElement('title', {}, `${day.date} – ${line.label}: ${day[line.key]}`));
+        svg.appendChild(dot);
+      });
+      svg.appendChild(svgElement('rect', { x: pad.left + lineIndex * 130, y: height - 10, width: 10, height: 10, fill: line.color }));
+      svg.appendChild(svgElement('text', { x: pad.left + lineIndex * 130 + 14, y: height - 1, 'font-size': 11 }, line.label));
+    });
+
+    container.replaceChildren(svg);
+  }
+
+  // ---------- Wiring ----------
+
+  async function refresh() {
+    await Promise.all([
+      loadBoard(),
+      loadEmployees().then(loadHeatmap).catch(error => showError($('heatmap'), error)),
+      loadTrends()
+    ]);
+  }
+
+  async function init() {
+    const { teams } = await api('teams', {});
+    $('team').replaceChildren(...teams.map(team => element('option', { value: team.name }, team.name)));
+
+    $('filters').addEventListener('submit', event => {
+      event.preventDefault();
+      refresh();
+    });
+    $('team').addEventListener('change', refresh);
+    $('employee').addEventListener('change', loadHeatmap);
+
+    await refresh();
+
+    // The board follows the day as it happens
+    setInterval(loadBoard, 60 * 1000);
+  }
+
+  init().catch(error => showError($('board-counts'), error));
+})();
@@ -0,0 +1,136 @@
+const express = require('express');
+const SlackDirectory = require('./services/slackDirectory');
+const AttendanceService = require('./services/attendance');
+const SlackEventService = require('./services/slackEvents');
+const AlertScheduler = require('./services/scheduler');
+const RollupService = require('./services/rollups');
+const TeamRoster = require('./services/teamRoster');
+const DayStatusService = require('./services/dayStatus');
+const SlackNotifier = require('./services/notifier');
+const CorrectionService = require('./services/corrections');
+const PresenceService = require('./services/presence');
+const DashboardService = require('./services/dashboard');
+const createEventsRouter = require('./routes/events');
+const createCommandsRouter = require('./routes/commands');
+const createAdminRouter = require('./routes/admin');
+const createExportRouter = require('./routes/export');
+const createInteractionsRouter = require('./routes/interactions');
+const createDashboardRouter = require('./routes/dashboard');
+const createPresenceRouter = require('./routes/presence');
+const createHealthRouter = require('./routes/health');
+const requestContext = require('./middleware/requestContext');
+const { logger } = require('./utils/logger');
+
+const log = logger.child({ component: 'server' });
+
+// Wire every service around the Slack client, storage backend, dedup store and job queue.
+// src/index.js passes the real ones; the tests pass fakes.
+function createServices({ slackClient, storage, dedupStore, jobQueue }) {
+  const slackDirectory = new SlackDirectory(slackClient);
+  const attendanceService = new AttendanceService(storage, dedupStore);
+  const notifier = new SlackNotifier(slackClient);
+  const slackEventService = new SlackEventService(slackDirectory, attendanceService, notifier);
+  const roster = new TeamRoster(slackClient, slackDirectory);
+  const alertScheduler = new AlertScheduler(slackClient, attendanceService, dedupStore, roster);
+  const rollupService = new RollupService(storage, attendanceService);
+  const dayStatusService = new DayStatusService(roster, attendanceService, storage);
+  const correctionService = new CorrectionService(storage, attendanceService, slackClient, roster, slackDirectory);
+  const presenceService = new PresenceService(attendanceService, roster);
+  const dashboardService = new DashboardService(storage, rollupService, presenceService);
+
+  // Slack events are processed from the durable queue, retried on failure
+  jobQueue.registerHandler('slack-event', event => slackEventService.handleEvent(event));
+  // Correction requests are recorded after the modal is acknowledged
+  jobQueue.registerHandler('correction-request', submission => correctionService.submit(submission));
+
+  // Rows another instance (or a person) added to the raw log get their summaries recomputed
+  if (storage.onEventsChanged) {
+    storage.onEventsChanged(async changed => {
+      await attendanceService.updateDailySummaries(changed)
+        .catch(error => log.error('Error recomputing reconciled summaries', { changed: changed.length, error }));
+    });
+  }
+
+  return {
+    slackClient,
+    storage,
+    dedupStore,
+    jobQueue,
+    slackDirectory,
+    attendanceService,
+    slackEventService,
+    roster,
+    alertScheduler,
+    rollupService,
+    dayStatusService,
+    correctionService,
+    presenceService,
+    dashboardService
+  };
+}
+
+// The Express app with every route; listening and background workers are left to the caller
+function createApp(services) {
+  const {
+    slackClient, storage, dedupStore, jobQueue, slackDirectory, attendanceService,
+    rollupService, dayStatusService, correctionService, presenceService, dashboardService
+  } = services;
+  const app = express();
+
+  // Store raw body for signature verification
+  const storeRawBody = (req, res, buf) => {
+    req.rawBody = buf.toString();
+  };
+
+  app.use(express.json({ verify: storeRawBody }));
+  app.use(express.urlencoded({ extended: false, verify: storeRawBody })); // Slash commands
+
+  // Request ID on every log line and response (after the body parsers, whose stream callbacks would drop it)
+  app.use(requestContext);
+
+  // Health check endpoint
+  app.get('/', (req, res) => {
+    res.json({
+      status: 'ok',
+      message: 'Slack Attendance System is running',
+      version: '1.0.0'
+    });
+  });
+
+  // Storage / Slack health check and Prometheus metrics
+  app.use(createHealthRouter({ storage, slackClient }));
+
+  // Test endpoint to verify ngrok is working
+  app.get('/test', (req, res) => {
+    log.info('Test endpoint called');
+    res.json({ message: 'Server is reachable!', timestamp: new Date().toISOString() });
+  });
+
+  // Slack events (keyword messages, edits, deletions)
+  app.use(createEventsRouter({ jobQueue, dedupStore }));
+
+  // Slash commands (/attendance)
+  app.use(createCommandsRouter({ slackDirectory, attendanceService, correctionService, presenceService }));
+
+  // Interactive components (day summary DM, correction requests and approvals)
+  app.use(createInteractionsRouter({ correctionService, jobQueue }));
+
+  // Admin API (ADMIN_TOKEN bearer auth)
+  app.use(createAdminRouter({ slackDirectory, attendanceService, rollupService, dayStatusService, jobQueue }));
+
+  // CSV / XLSX export (ADMIN_TOKEN bearer auth)
+  app.use(createExportRouter({ storage }));
+
+  // Read-only web dashboard and its JSON API (HTTP Basic auth)
+  app.use(createDashboardRouter({ dashboardService }));
+
+  // Who is in, on lunch, on a break or gone (HTTP Basic auth)
+  app.use(createPresenceRouter({ presenceService }));
+
+  return app;
+}
+
+module.exports = {
+  createServices,
+  createApp
+};
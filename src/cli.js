@@ -0,0 +1,230 @@
+/**
+ * Maintenance commands.
+ *
+ *   node src/cli.js backfill --channel team-309 --from 2026-10-01 --to 2026-10-05 [--dry-run]
+ *     Replay keyword messages from a team channel's history (e.g. after downtime).
+ *     Messages already in raw_logs are skipped; new events go through the same
+ *     logEvent path as live events, then the affected summaries and roll-ups
+ *     are recomputed. --dry-run only lists what would be added.
+ *
+ *   node src/cli.js recompute --from 2026-10-01 --to 2026-10-05
+ *     Recompute every daily summary in the range from raw_logs, write status rows
+ *     for members without events, and recompute the weekly / monthly roll-ups.
+ */
+require('dotenv').config();
+
+// Service logs as plain lines next to the command's own output, unless LOG_FORMAT says otherwise
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+
+const moment = require('moment-timezone');
+const { createStorage } = require('./services/storage');
+const { createSlackClient } = require('./services/slackClient');
+const SlackDirectory = require('./services/slackDirectory');
+const { createDedupStore } = require('./services/dedupStore');
+const AttendanceService = require('./services/attendance');
+const SlackEventService = require('./services/slackEvents');
+const RollupService = require('./services/rollups');
+const TeamRoster = require('./services/teamRoster');
+const DayStatusService = require('./services/dayStatus');
+const { extractKeywords, isValidDate } = require('./utils/helpers');
+const { getTeamForChannel } = require('./utils/teams');
+
+const USAGE = [
+  'Usage:',
+  '  node src/cli.js backfill --channel <name|id> --from YYYY-MM-DD --to YYYY-MM-DD [--dry-run]',
+  '  node src/cli.js recompute --from YYYY-MM-DD --to YYYY-MM-DD'
+].join('\n');
+
+// "--channel team-309 --dry-run" → { channel: 'team-309', 'dry-run': true }
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      continue;
+    }
+    const name = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next !== undefined && !next.startsWith('--')) {
+      options[name] = next;
+      i++;
+    } else {
+      options[name] = true;
+    }
+  }
+  return options;
+}
+
+function datesBetween(from, to) {
+  const dates = [];
+  const day = moment(from, 'YYYY-MM-DD');
+  while (day.format('YYYY-MM-DD') <= to) {
+    dates.push(day.format('YYYY-MM-DD'));
+    day.add(1, 'day');
+  }
+  return dates;
+}
+
+async function createServices() {
+  const slackClient = createSlackClient();
+  const storage = createStorage();
+  const dedupStore = createDedupStore();
+
+  await dedupStore.initialize();
+  await storage.initialize();
+  await storage.ensureSchema();
+
+  const attendanceService = new AttendanceService(storage, dedupStore);
+  const slackDirectory = new SlackDirectory(slackClient);
+  const roster = new TeamRoster(slackClient, slackDirectory);
+  return {
+    slackClient,
+    slackDirectory,
+    storage,
+    roster,
+    attendanceService,
+    slackEventService: new SlackEventService(slackDirectory, attendanceService),
+    rollupService: new RollupService(storage, attendanceService),
+    dayStatusService: new DayStatusService(roster, attendanceService, storage)
+  };
+}
+
+// Top-level channel messages between two Unix timestamps, oldest first
+async function fetchHistory(slackClient, channel, oldest, latest) {
+  const messages = [];
+  let cursor;
+
+  do {
+    const response = await slackClient.conversations.history({
+      channel,
+      oldest: String(oldest),
+      latest: String(latest),
+      inclusive: true,
+      limit: 200,
+      cursor
+    });
+    messages.push(...response.messages);
+    cursor = response.response_metadata && response.response_metadata.next_cursor;
+  } while (cursor);
+
+  return messages.sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts));
+}
+
+async function backfill(options) {
+  const { channel, from, to } = options;
+  const dryRun = Boolean(options['dry-run']);
+
+  if (typeof channel !== 'string' || !isValidDate(from) || !isValidDate(to) || from > to) {
+    throw new Error(`backfill needs --channel, --from and --to (YYYY-MM-DD, from <= to)\n${USAGE}`);
+  }
+
+  const { slackClient, slackDirectory, storage, roster, attendanceService, slackEventService, rollupService } = await createServices();
+
+  const channelId = await roster.resolveChannelId(channel);
+  if (!channelId) {
+    throw new Error(`Channel ${channel} not found`);
+  }
+
+  const channelInfo = await slackDirectory.getChannel(channelId);
+  const team = getTeamForChannel(channelId, channelInfo.name);
+  if (!team) {
+    throw new Error(`Channel ${channel} is not a configured team channel (see config/teams.json)`);
+  }
+
+  // Work days can start at the shift cutoff and people can be ahead of or behind the
+  // team's timezone, so fetch a day either side and keep messages by their computed work date
+  const oldest = moment.tz(from, team.timezone).subtract(1, 'day').unix();
+  const latest = moment.tz(to, team.timezone).add(2, 'days').unix();
+  const messages = await fetchHistory(slackClient, channelId, oldest, latest);
+  console.log(`📜 ${messages.length} messages in #${channelInfo.name} around ${from} → ${to}`);
+
+  // Messages already in raw_logs (under any action) are never logged again,
+  // even once their dedup markers have expired
+  const existing = await storage.getEventsBetween(
+    moment(from).subtract(1, 'day').format('YYYY-MM-DD'),
+    moment(to).add(1, 'day').format('YYYY-MM-DD'));
+  const recordedTs = new Set(existing.map(event => event.slackTs));
+
+  const added = [];
+  const affectedDates = new Set();
+
+  for (const message of messages) {
+    if (message.bot_id || message.subtype || !message.user || !message.text) {
+      continue;
+    }
+    if (extractKeywords(message.text).length === 0 || recordedTs.has(message.ts)) {
+      continue;
+    }
+
+    const events = (await slackEventService.messageToEvents(message, channelId))
+      .filter(event => event.date >= from && event.date <= to);
+
+    for (const eventData of events) {
+      if (dryRun) {
+        console.log(`🔍 Would add: ${eventData.date} ${eventData.time} ${eventData.employeeName} ${eventData.keyword}`);
+        added.push(eventData);
+        continue;
+      }
+
+      const result = await attendanceService.logEvent(eventData);
+      if (result.logged) {
+        console.log(`✅ Added: ${eventData.date} ${eventData.time} ${eventData.employeeName} ${eventData.keyword}`);
+        added.push(eventData);
+        affectedDates.add(eventData.date);
+      }
+    }
+  }
+
+  if (dryRun) {
+    console.log(`🔍 Dry run: ${added.length} event(s) would be added, nothing written`);
+    return;
+  }
+
+  // logEvent already refreshed each person's summary; also refresh everyone else on those days
+  for (const date of [...affectedDates].sort()) {
+    await attendanceService.recomputeDailySummaries(date);
+  }
+  if (affectedDates.size > 0) {
+    await rollupService.recomputeRange(from, to);
+  }
+
+  console.log(`✅ Backfill complete: ${added.length} event(s) added on ${affectedDates.size} day(s)`);
+}
+
+async function recompute(options) {
+  const { from, to } = options;
+
+  if (!isValidDate(from) || !isValidDate(to) || from > to) {
+    throw new Error(`recompute needs --from and --to (YYYY-MM-DD, from <= to)\n${USAGE}`);
+  }
+
+  const { attendanceService, rollupService, dayStatusService } = await createServices();
+
+  let summaries = 0;
+  for (const date of datesBetween(from, to)) {
+    summaries += await attendanceService.recomputeDailySummaries(date);
+  }
+  // Absent / Holiday / Weekend rows for everyone without events
+  const statusRows = await dayStatusService.fillRange(from, to);
+  const rollups = await rollupService.recomputeRange(from, to);
+
+  console.log(`✅ Recomputed ${summaries} daily summaries, ${statusRows} status rows and ${rollups.length} roll-up periods`);
+}
+
+const commands = { backfill, recompute };
+
+async function main() {
+  const [command, ...argv] = process.argv.slice(2);
+  const run = commands[command];
+
+  if (!run) {
+    console.log(USAGE);
+    process.exit(command ? 1 : 0);
+  }
+
+  await run(parseArgs(argv));
+}
+
+main().catch(error => {
+  console.error('Command failed:', error.message);
+  process.exit(1);
+});
@@ -1,212 +1,79 @@
 require('dotenv').config();
-const express = require('express');
-const crypto = require('crypto');
-const { WebClient } = require('@slack/web-api');
-const GoogleSheetsService = require('./services/googleSheets');
-const AttendanceService = require('./services/attendance');
-const { extractKeyword, parseSlackTimestamp } = require('./utils/helpers');
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Initialize Slack Web Client
-const slackClient = new WebClient(process.env.SLACK_BOT_TOKEN);
-
-// Initialize services
-const sheetsService = new GoogleSheetsService();
-const attendanceService = new AttendanceService(sheetsService);
-
-// Store raw body for signature verification
-app.use(express.json({
-  verify: (req, res, buf) => {
-    req.rawBody = buf.toString();
-  }
-}));
-
-// Slack signature verification middleware
-function verifySlackRequest(req, res, next) {
-  const slackSigningSecret = process.env.SLACK_SIGNING_SECRET;
-  const slackSignature = req.headers['x-slack-signature'];
-  const timestamp = req.headers['x-slack-request-timestamp'];
-
-  if (!slackSignature || !timestamp) {
-    console.log('Missing Slack signature headers');
-    return res.status(401).send('Missing signature headers');
-  }
-
-  // Prevent replay attacks (5 minute window)
-  const currentTime = Math.floor(Date.now() / 1000);
-  if (Math.abs(currentTime - parseInt(timestamp)) > 300) {
-    console.log('Request timestamp too old');
-    return res.status(401).send('Request too old');
-  }
-
-  const sigBasestring = `v0:${timestamp}:${req.rawBody}`;
-  const mySignature = 'v0=' + crypto
-    .createHmac('sha256', slackSigningSecret)
-    .update(sigBasestring)
-    .digest('hex');
+const { createStorage } = require('./services/storage');
+const { createSlackClient } = require('./services/slackClient');
+const { createDedupStore } = require('./services/dedupStore');
+const JobQueue = require('./services/jobQueue');
+const { createServices, createApp } = require('./app');
+const { getTeams } = require('./utils/teams');
+const { logger } = require('./utils/logger');
 
-  if (!crypto.timingSafeEqual(Buffer.from(mySignature), Buffer.from(slackSignature))) {
-    console.log('Invalid signature');
-    return res.status(401).send('Invalid signature');
-  }
-
-  next();
-}
+const log = logger.child({ component: 'server' });
 
-// Health check endpoint
-app.get('/', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    message: 'Slack Attendance System is running',
-    version: '1.0.0'
-  });
-});
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'healthy', timestamp: new Date().toISOString() });
-});
+const PORT = process.env.PORT || 3000;
 
-// Test endpoint to verify ngrok is working
-app.get('/test', (req, res) => {
-  console.log('✅ Test endpoint called!');
-  res.json({ message: 'Server is reachable!', timestamp: new Date().toISOString() });
+// Initialize services (Slack API calls timed for /metrics)
+const services = createServices({
+  slackClient: createSlackClient(),
+  storage: createStorage(),
+  dedupStore: createDedupStore(),
+  jobQueue: new JobQueue()
 });
+const {
+  storage, dedupStore, jobQueue, slackDirectory, attendanceService, alertScheduler, rollupService, dayStatusService
+} = services;
 
-// Main Slack events endpoint
-app.post('/slack/events', verifySlackRequest, async (req, res) => {
-  const { type, challenge, event } = req.body;
+const app = createApp(services);
 
-  console.log('📥 Received Slack event:', { type, eventType: event?.type });
+// Initialize and start server
+async function startServer() {
+  try {
+    // Initialize dedup store
+    await dedupStore.initialize();
+    log.info('Dedup store ready');
 
-  // Handle URL verification challenge
-  if (type === 'url_verification') {
-    console.log('URL verification challenge received');
-    return res.json({ challenge });
-  }
+    // Load queued jobs left over from a previous run
+    await jobQueue.initialize();
+    log.info('Job queue ready');
 
-  // Respond immediately to Slack (within 3 seconds)
-  res.status(200).send();
+    // Initialize storage (Google Sheets or local JSON)
+    await storage.initialize();
+    log.info('Storage connected', { backend: process.env.STORAGE_BACKEND || 'sheets' });
 
-  // Process event asynchronously
-  if (type === 'event_callback' && event) {
-    console.log('🔄 Processing event callback...');
-    try {
-      await handleSlackEvent(event);
-    } catch (error) {
-      console.error('Error processing event:', error);
+    if (getTeams().length === 0) {
+      log.warn('No teams configured - every Slack event will be rejected (see config/teams.json)');
     }
-  } else {
-    console.log('⚠️ Not an event_callback, ignoring');
-  }
-});
-
-// Handle Slack message events
-async function handleSlackEvent(event) {
-  console.log('📨 Event received:', JSON.stringify(event, null, 2));
 
-  // Only process message events
-  if (event.type !== 'message') {
-    console.log('⏭️ Not a message event, skipping');
-    return;
-  }
-
-  // Ignore bot messages, message edits, and deletions
-  if (event.bot_id || event.subtype) {
-    console.log('⏭️ Bot message or subtype, skipping:', { bot_id: event.bot_id, subtype: event.subtype });
-    return;
-  }
+    // Ensure sheets / files exist
+    await storage.ensureSchema();
+    log.info('Storage structure verified');
 
-  const { text, user, channel, ts } = event;
-
-  if (!text || !user) {
-    console.log('⚠️ Missing text or user');
-    return;
-  }
-
-  console.log('📝 Message text:', text);
-
-  // Extract keyword from message
-  const keyword = extractKeyword(text);
-  if (!keyword) {
-    console.log('⏭️ No keyword found in message');
-    return;
-  }
+    // Users and channels in a few list calls, so the morning rush hits the cache.
+    // Not awaited: lookups fall back to users.info / conversations.info until it is done
+    slackDirectory.warm().catch(error => log.warn('Could not warm the Slack directory', { error: error.message }));
 
-  console.log(`✅ Processing message: User=${user}, Channel=${channel}, Keyword=${keyword}`);
+    // Live presence from today's raw_logs
+    const present = await attendanceService.rebuildPresence();
+    log.info('Presence rebuilt', { people: present });
 
-  try {
-    // Get user info from Slack
-    const userInfo = await slackClient.users.info({ user });
-    const employeeName = userInfo.user.real_name || userInfo.user.name;
-    const slackUsername = userInfo.user.name;
-
-    // Get channel info
-    const channelInfo = await slackClient.conversations.info({ channel });
-    const channelName = channelInfo.channel.name;
-
-    // Parse timestamp
-    const { date, time } = parseSlackTimestamp(ts);
-
-    // Log the attendance event
-    await attendanceService.logEvent({
-      date,
-      time,
-      employeeName,
-      slackUsername,
-      channelName,
-      keyword,
-      slackTs: ts
+    app.listen(PORT, () => {
+      log.info('Slack Attendance System started', { port: Number(PORT), teams: getTeams().length });
     });
 
-    console.log(`✅ Logged: ${employeeName} - ${keyword} at ${time} on ${date}`);
-  } catch (error) {
-    console.error('Error processing attendance:', error);
-  }
-}
+    // Process queued Slack events
+    jobQueue.start();
 
-// Initialize and start server
-async function startServer() {
-  try {
-    // Initialize Google Sheets
-    await sheetsService.initialize();
-    console.log('✅ Google Sheets connected');
+    // Late-arrival and missing-exit alerts
+    if (process.env.ALERTS_ENABLED !== 'false') {
+      alertScheduler.start();
+    }
 
-    // Ensure sheets exist
-    await sheetsService.ensureSheetsExist();
-    console.log('✅ Sheets structure verified');
+    // Weekly / monthly roll-ups
+    rollupService.start();
 
-    app.listen(PORT, () => {
-      console.log(`
-╔══════════════════════════════════════════════════════════════════╗
-║       Slack Attendance System Started Successfully!              ║
-╠══════════════════════════════════════════════════════════════════╣
-║  Server running on port: ${PORT}                                    ║
-║                                                                  ║
-║  OFFICE PRESENCE (Total Hours):                                  ║
-║    • #entry        → Office Entry Time                           ║
-║    • #exit         → Office Exit Time                            ║
-║                                                                  ║
-║  WORK TRACKING (Working Hours):                                  ║
-║    • #daily-task   → Work Start Time                             ║
-║    • #daily-report → Work End Time                               ║
-║                                                                  ║
-║  BREAKS:                                                         ║
-║    • #lunchstart   → Lunch Start                                 ║
-║    • #lunchend     → Lunch End                                   ║
-║    • #breakstart   → Break Start (multiple allowed)              ║
-║    • #breakend     → Break End                                   ║
-║                                                                  ║
-║  CALCULATION:                                                    ║
-║    Total Hours = #exit - #entry                                  ║
-║    Working Hours = (#daily-report - #daily-task) - lunch - breaks║
-╚══════════════════════════════════════════════════════════════════╝
-      `);
-    });
+    // Absent / Holiday / Weekend rows for the previous day
+    dayStatusService.start();
   } catch (error) {
-    console.error('Failed to start server:', error);
+    log.error('Failed to start server', { error });
     process.exit(1);
   }
 }
@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+const { logger, runWithContext } = require('../utils/logger');
+
+const log = logger.child({ component: 'http' });
+
+// Give every request an ID (X-Request-Id from a proxy, or a new one), echo it back
+// and add it to every log line written while the request is handled
+function requestContext(req, res, next) {
+  const requestId = req.headers['x-request-id'] || crypto.randomUUID();
+  const start = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    runWithContext({ requestId }, () => log.info('Request completed', {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e6)
+    }));
+  });
+
+  runWithContext({ requestId }, next);
+}
+
+module.exports = requestContext;
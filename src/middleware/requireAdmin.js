@@ -0,0 +1,26 @@
+const { logger } = require('../utils/logger');
+const { safeEqual } = require('../utils/auth');
+
+const log = logger.child({ component: 'admin-auth' });
+
+// Bearer-token auth for admin endpoints (ADMIN_TOKEN)
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+
+  if (!adminToken) {
+    log.warn('Admin API called but ADMIN_TOKEN is not set', { path: req.path });
+    return res.status(503).json({ error: 'Admin API disabled' });
+  }
+
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+  if (!safeEqual(adminToken, token)) {
+    log.warn('Invalid admin token', { path: req.path });
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+module.exports = requireAdmin;
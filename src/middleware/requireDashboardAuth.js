@@ -0,0 +1,29 @@
+const { logger } = require('../utils/logger');
+const { safeEqual } = require('../utils/auth');
+
+const log = logger.child({ component: 'dashboard-auth' });
+
+// HTTP Basic auth for the dashboard, so the browser prompts once and sends it with every API call.
+// DASHBOARD_USER (default "admin") / DASHBOARD_PASSWORD, falling back to ADMIN_TOKEN as the password.
+function requireDashboardAuth(req, res, next) {
+  const user = process.env.DASHBOARD_USER || 'admin';
+  const password = process.env.DASHBOARD_PASSWORD || process.env.ADMIN_TOKEN;
+
+  if (!password) {
+    log.warn('Dashboard requested but neither DASHBOARD_PASSWORD nor ADMIN_TOKEN is set', { path: req.path });
+    return res.status(503).json({ error: 'Dashboard disabled' });
+  }
+
+  const header = req.headers.authorization || '';
+  const decoded = header.startsWith('Basic ') ? Buffer.from(header.slice(6), 'base64').toString() : '';
+  const separator = decoded.indexOf(':');
+
+  if (separator < 0 || !safeEqual(user, decoded.slice(0, separator)) || !safeEqual(password, decoded.slice(separator + 1))) {
+    res.set('WWW-Authenticate', 'Basic realm="Attendance dashboard", charset="UTF-8"');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+module.exports = requireDashboardAuth;
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { safeEqual } = require('../utils/auth');
+
+const log = logger.child({ component: 'slack-auth' });
+
+// Slack signature verification middleware
+// Expects req.rawBody to be captured by the body parsers (JSON and urlencoded)
+function verifySlackRequest(req, res, next) {
+  const slackSigningSecret = process.env.SLACK_SIGNING_SECRET;
+  const slackSignature = req.headers['x-slack-signature'];
+  const timestamp = req.headers['x-slack-request-timestamp'];
+
+  if (!slackSignature || !timestamp) {
+    log.warn('Missing Slack signature headers', { path: req.path });
+    return res.status(401).send('Missing signature headers');
+  }
+
+  // Prevent replay attacks (5 minute window); a non-numeric timestamp is never in it
+  const currentTime = Math.floor(Date.now() / 1000);
+  if (!(Math.abs(currentTime - parseInt(timestamp, 10)) <= 300)) {
+    log.warn('Slack request timestamp too old', { path: req.path, timestamp });
+    return res.status(401).send('Request too old');
+  }
+
+  const sigBasestring = `v0:${timestamp}:${req.rawBody}`;
+  const mySignature = 'v0=' + crypto
+    .createHmac('sha256', slackSigningSecret)
+    .update(sigBasestring)
+    .digest('hex');
+
+  if (!safeEqual(mySignature, slackSignature)) {
+    log.warn('Invalid Slack signature', { path: req.path });
+    return res.status(401).send('Invalid signature');
+  }
+
+  next();
+}
+
+module.exports = verifySlackRequest;
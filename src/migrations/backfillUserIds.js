@@ -0,0 +1,124 @@
+/**
+ * Backfill Slack user IDs for raw_logs rows written before user IDs were recorded,
+ * and replace the old name-keyed daily_summary rows with summaries recomputed per
+ * user and team. Names are resolved through users.list; names that match no user,
+ * or more than one, are left untouched and reported.
+ *
+ * Usage: node src/migrations/backfillUserIds.js [--dry-run]
+ */
+require('dotenv').config();
+
+// Service logs as plain lines next to the migration's own output
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+
+const { createStorage } = require('../services/storage');
+const { createSlackClient } = require('../services/slackClient');
+const { MemoryDedupStore } = require('../services/dedupStore');
+const AttendanceService = require('../services/attendance');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function loadUserIdsByName(slackClient) {
+  const idsByName = new Map();
+  let cursor;
+
+  do {
+    const response = await slackClient.users.list({ cursor, limit: 200 });
+    for (const user of response.members) {
+      if (user.is_bot || user.id === 'USLACKBOT') {
+        continue;
+      }
+      // Same display name the app records: real_name, falling back to name
+      const name = user.real_name || user.name;
+      if (!idsByName.has(name)) {
+        idsByName.set(name, new Set());
+      }
+      idsByName.get(name).add(user.id);
+    }
+    cursor = response.response_metadata && response.response_metadata.next_cursor;
+  } while (cursor);
+
+  return idsByName;
+}
+
+function hasUserId(record) {
+  return record.userId && record.userId !== '-';
+}
+
+// Rows from before summaries were keyed by user ID and team ("date|-|-")
+function isLegacySummary(record) {
+  return !hasUserId(record) || record.team === '-';
+}
+
+// Recompute a date's summaries for every resolved employee, which writes the user- and team-keyed rows
+async function recomputeDate(attendanceService, date) {
+  const events = (await attendanceService.getDayEvents(date)).filter(event => hasUserId(event) && event.team !== '-');
+  const pairs = new Map(events.map(event => [`${event.userId}|${event.team}`, { date, userId: event.userId, team: event.team }]));
+
+  await attendanceService.updateDailySummaries([...pairs.values()]);
+  return pairs.size;
+}
+
+async function main() {
+  const slackClient = createSlackClient();
+  const storage = createStorage();
+  await storage.initialize();
+
+  const idsByName = await loadUserIdsByName(slackClient);
+  console.log(`👥 Loaded ${idsByName.size} Slack user names`);
+
+  const unresolved = new Map();
+  const backfill = record => {
+    if (hasUserId(record)) {
+      return record;
+    }
+
+    const ids = idsByName.get(record.employeeName);
+    if (!ids || ids.size !== 1) {
+      unresolved.set(record.employeeName, ids ? `ambiguous (${[...ids].join(', ')})` : 'no matching user');
+      return record;
+    }
+
+    return { ...record, userId: [...ids][0] };
+  };
+
+  // Legacy summaries of resolved employees are dropped and their dates recomputed;
+  // unresolved ones stay as they are
+  const replacedDates = new Set();
+  const replaceSummary = record => {
+    if (!isLegacySummary(record) || !hasUserId(backfill(record))) {
+      return record;
+    }
+    replacedDates.add(record.date);
+    return null;
+  };
+
+  if (dryRun) {
+    const events = await storage.getEventsBetween('0000-01-01', '9999-12-31');
+    const summaries = await storage.getDailySummaries('0000-01-01', '9999-12-31');
+    const backfilled = events.filter(record => !hasUserId(record) && hasUserId(backfill(record))).length;
+    const replaced = summaries.filter(record => replaceSummary(record) === null).length;
+    console.log(`🔍 Dry run: would backfill ${backfilled} raw events and replace ${replaced} legacy daily summaries ` +
+      `on ${replacedDates.size} dates`);
+  } else {
+    const events = await storage.migrateRecords('events', backfill);
+    await storage.migrateRecords('dailySummary', replaceSummary);
+    console.log(`✅ Backfilled ${events} raw events; removed legacy daily summaries on ${replacedDates.size} dates`);
+
+    const attendanceService = new AttendanceService(storage, new MemoryDedupStore());
+    let recomputed = 0;
+    for (const date of [...replacedDates].sort()) {
+      recomputed += await recomputeDate(attendanceService, date);
+    }
+    console.log(`✅ Recomputed ${recomputed} daily summaries`);
+  }
+
+  for (const [name, reason] of unresolved) {
+    console.log(`⚠️ Could not resolve "${name}": ${reason}`);
+  }
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
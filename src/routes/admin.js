@@ -0,0 +1,165 @@
+const express = require('express');
+const moment = require('moment-timezone');
+const requireAdmin = require('../middleware/requireAdmin');
+const { KEYWORDS, workDateTimeToUtc, isValidDate } = require('../utils/helpers');
+const { getTeam, resolveTimezone } = require('../utils/teams');
+const { getHoliday, isWorkDay } = require('../utils/calendar');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'admin' });
+
+// Leave types the admin API accepts, as their keywords
+const LEAVE_TYPES = {
+  leave: KEYWORDS.LEAVE,
+  wfh: KEYWORDS.WFH,
+  halfday: KEYWORDS.HALF_DAY
+};
+
+function createAdminRouter({ slackDirectory, attendanceService, rollupService, dayStatusService, jobQueue }) {
+  const router = express.Router();
+
+  router.use('/admin', requireAdmin);
+
+  // Register leave / WFH / half days for an employee (work days only, holidays skipped).
+  // Recorded like a keyword message, with Source = admin.
+  router.post('/admin/leave', async (req, res) => {
+    const { userId, team: teamName, type = 'leave' } = req.body;
+    const from = req.body.from || req.body.date;
+    const to = req.body.to || from;
+    const team = getTeam(teamName);
+    const keyword = LEAVE_TYPES[type];
+
+    if (!userId || !team || !keyword || !isValidDate(from) || !isValidDate(to) || from > to) {
+      return res.status(400).json({
+        error: 'userId, team, type (leave|wfh|halfday) and from / to dates (YYYY-MM-DD) are required'
+      });
+    }
+
+    try {
+      const user = await slackDirectory.getUser(userId);
+      const employeeName = user.real_name || user.name;
+      const timezone = resolveTimezone(team, user.tz);
+      // Status keywords are recorded at the start of the work day
+      const time = `${team.shiftCutoff}:00`;
+      const recorded = [];
+
+      for (const day = moment(from, 'YYYY-MM-DD'); day.format('YYYY-MM-DD') <= to; day.add(1, 'day')) {
+        const date = day.format('YYYY-MM-DD');
+        if (!isWorkDay(date, team) || getHoliday(date, team.name)) {
+          continue;
+        }
+
+        await attendanceService.logEvent({
+          date,
+          time,
+          utcTime: workDateTimeToUtc(date, time, team.shiftCutoff, timezone),
+          timezone,
+          userId,
+          employeeName,
+          channelName: team.channels[0],
+          team: team.name,
+          keyword,
+          slackTs: `admin-${Date.now()}-${date}`,
+          source: 'admin',
+          actor: req.body.actor || 'admin'
+        });
+        recorded.push(date);
+      }
+
+      res.json({ userId, type, dates: recorded });
+    } catch (error) {
+      log.error('Error recording leave', { error });
+      res.status(500).json({ error: 'Failed to record leave' });
+    }
+  });
+
+  // Cancel leave / WFH / half days on a date (however they were recorded)
+  router.delete('/admin/leave', async (req, res) => {
+    const { userId, date, type } = { ...req.query, ...req.body };
+    const keywords = type ? [LEAVE_TYPES[type]] : Object.values(LEAVE_TYPES);
+
+    if (!userId || !isValidDate(date) || !keywords[0]) {
+      return res.status(400).json({ error: 'userId, date (YYYY-MM-DD) and an optional type (leave|wfh|halfday) are required' });
+    }
+
+    try {
+      const dayEvents = (await attendanceService.getDayEvents(date)).filter(event => event.userId === userId);
+      const cancelled = dayEvents.filter(event => keywords.includes(event.keyword));
+      const revision = String(Date.now() / 1000);
+
+      for (const slackTs of new Set(cancelled.map(event => event.slackTs))) {
+        // A message like "#wfh #daily-task" keeps its other keywords as a new revision
+        const messageEvents = dayEvents.filter(event => event.slackTs === slackTs);
+        const remaining = messageEvents.filter(event => !keywords.includes(event.keyword)).map(event => event.keyword);
+        const { keyword, action, ...messageData } = messageEvents[0];
+
+        await attendanceService.reviseMessage({ ...messageData, keywords: remaining, revision });
+      }
+
+      res.json({ userId, date, cancelled: cancelled.map(event => event.keyword) });
+    } catch (error) {
+      log.error('Error cancelling leave', { error });
+      res.status(500).json({ error: 'Failed to cancel leave' });
+    }
+  });
+
+  // Write Absent / Holiday / Weekend rows for members without events in [from, to]
+  router.post('/admin/statuses/fill', async (req, res) => {
+    const from = req.query.from || req.body.from;
+    const to = req.query.to || req.body.to || from;
+
+    if (!isValidDate(from) || !isValidDate(to) || from > to) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD) with from <= to' });
+    }
+
+    try {
+      const written = await dayStatusService.fillRange(from, to);
+      res.json({ written });
+    } catch (error) {
+      log.error('Error writing status rows', { error });
+      res.status(500).json({ error: 'Failed to write status rows' });
+    }
+  });
+
+  // Recompute weekly / monthly roll-ups for every period touching [from, to]
+  router.post('/admin/rollups/recompute', async (req, res) => {
+    const from = req.query.from || req.body.from;
+    const to = req.query.to || req.body.to || from;
+
+    if (!isValidDate(from) || !isValidDate(to) || from > to) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD) with from <= to' });
+    }
+
+    try {
+      const recomputed = await rollupService.recomputeRange(from, to);
+      res.json({ recomputed });
+    } catch (error) {
+      log.error('Error recomputing roll-ups', { error });
+      res.status(500).json({ error: 'Failed to recompute roll-ups' });
+    }
+  });
+
+  // Queued (retrying) and dead-letter jobs
+  router.get('/admin/jobs', (req, res) => {
+    const { pending, dead } = jobQueue.list();
+    res.json({ pending, dead });
+  });
+
+  // Put a dead-letter job back on the queue
+  router.post('/admin/jobs/:id/replay', async (req, res) => {
+    try {
+      const job = await jobQueue.replay(req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: 'No dead-letter job with that id' });
+      }
+      res.json({ replayed: job.id });
+    } catch (error) {
+      log.error('Error replaying job', { error });
+      res.status(500).json({ error: 'Failed to replay job' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAdminRouter;
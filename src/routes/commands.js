@@ -0,0 +1,291 @@
+const express = require('express');
+const moment = require('moment-timezone');
+const verifySlackRequest = require('../middleware/verifySlackRequest');
+const {
+  KEYWORDS, ALL_KEYWORDS, resolveKeyword, getCurrentWorkDate, workDateTimeToUtc, durationToMinutes
+} = require('../utils/helpers');
+const { loadTeamsConfig, getTeam, getTeamForChannel, resolveTimezone } = require('../utils/teams');
+const { isWorkDay } = require('../utils/calendar');
+const { PRESENCE } = require('../services/attendance');
+const { logger } = require('../utils/logger');
+const { respond } = require('../utils/slackResponse');
+
+const log = logger.child({ component: 'commands' });
+
+// What the latest keyword says about where someone is
+const STATUS_BY_KEYWORD = {
+  [KEYWORDS.ENTRY]: 'In the office',
+  [KEYWORDS.DAILY_TASK]: 'Working',
+  [KEYWORDS.LUNCH_START]: 'On lunch',
+  [KEYWORDS.LUNCH_END]: 'Working',
+  [KEYWORDS.BREAK_START]: 'On a break',
+  [KEYWORDS.BREAK_END]: 'Working',
+  [KEYWORDS.DAILY_REPORT]: 'Done for the day',
+  [KEYWORDS.EXIT]: 'Left the office',
+  [KEYWORDS.LEAVE]: 'On leave',
+  [KEYWORDS.WFH]: 'Working from home',
+  [KEYWORDS.HALF_DAY]: 'On a half day'
+};
+
+// `/attendance who` sections, in this order
+const PRESENCE_LABELS = {
+  [PRESENCE.WORKING]: '🟢 Working',
+  [PRESENCE.LUNCH]: '🍽️ On lunch',
+  [PRESENCE.BREAK]: '☕ On a break',
+  [PRESENCE.LEFT]: '🏁 Left',
+  [PRESENCE.LEAVE]: '🌴 On leave',
+  [PRESENCE.NOT_ARRIVED]: '⏳ Not arrived'
+};
+
+const HELP_TEXT = [
+  '*Usage:*',
+  '• `/attendance status` – where you are right now',
+  '• `/attendance today` – today\'s summary',
+  '• `/attendance week` – this week, day by day',
+  '• `/attendance who [team]` – who is working, on lunch, on a break or gone in your team',
+  '• `/attendance punch <keyword> <HH:mm> [YYYY-MM-DD]` – record a missed keyword today or on the previous work day, e.g. `/attendance punch #lunchend 14:05`',
+  '• `/attendance correct [YYYY-MM-DD]` – ask your team\'s approvers to fix a day (add, remove or retime an event)'
+].join('\n');
+
+function formatSummary(summary) {
+  return [
+    `*${summary.date}*`,
+    `• Entry / Exit: ${summary.entryTime} → ${summary.exitTime} (${summary.totalHours})`,
+    `• Task Start / End: ${summary.taskStartTime} → ${summary.taskEndTime}`,
+    `• Lunch: ${summary.lunchDuration}  •  Breaks: ${summary.breakDuration} (${summary.breakCount})`,
+    `• *Net Working Hours: ${summary.netWorkingHours}*`,
+    ...(summary.requiredHours && summary.requiredHours !== '-'
+      ? [`• Adjusted: ${summary.adjustedHours} of ${summary.requiredHours} required` +
+        `${summary.shortfall !== '-' ? `  •  Shortfall: ${summary.shortfall}  •  Overtime: ${summary.overtime}` : ''}`]
+      : []),
+    ...(summary.flags && summary.flags !== '-' ? [`• ⚠️ Flags: ${summary.flags}`] : [])
+  ].join('\n');
+}
+
+function createCommandsRouter({ slackDirectory, attendanceService, correctionService, presenceService }) {
+  const router = express.Router();
+
+  async function getEmployee(userId) {
+    const user = await slackDirectory.getUser(userId);
+    return {
+      userId,
+      employeeName: user.real_name || user.name,
+      slackUsername: user.name,
+      userTimezone: user.tz
+    };
+  }
+
+  // The command channel's team, or (from a DM) the team of the caller's latest event today
+  async function resolveTeam(channelId, channelName, userId) {
+    const channelTeam = getTeamForChannel(channelId, channelName);
+    if (channelTeam) {
+      return channelTeam;
+    }
+
+    const { defaults } = loadTeamsConfig();
+    const events = await attendanceService.getUserEvents(getCurrentWorkDate(defaults.shiftCutoff, defaults.timezone), userId);
+    return events.length > 0 ? getTeam(events[events.length - 1].team) : null;
+  }
+
+  // The caller's current work day, in their own timezone
+  function today(team, timezone) {
+    return getCurrentWorkDate(team.shiftCutoff, timezone);
+  }
+
+  // The last of the team's work days before a date (Friday for a Monday, with Mon-Fri work days)
+  function previousWorkDay(date, team) {
+    const day = moment(date, 'YYYY-MM-DD').subtract(1, 'day');
+    for (let step = 0; step < 7 && !isWorkDay(day.format('YYYY-MM-DD'), team); step++) {
+      day.subtract(1, 'day');
+    }
+    return day.format('YYYY-MM-DD');
+  }
+
+  async function handleStatus({ userId, team, timezone }) {
+    const date = today(team, timezone);
+    const events = await attendanceService.getUserEvents(date, userId, team.name);
+
+    if (events.length === 0) {
+      return `Nothing recorded yet for ${date}.`;
+    }
+
+    const latest = events[events.length - 1];
+    const summary = await attendanceService.calculateDailySummary(date, userId, team.name);
+    return `*${STATUS_BY_KEYWORD[latest.keyword] || latest.keyword}* since ${latest.time} (${latest.keyword})\n` +
+      `Net working hours so far: ${summary.netWorkingHours}`;
+  }
+
+  async function handleToday({ userId, team, timezone }) {
+    const date = today(team, timezone);
+    const summary = await attendanceService.calculateDailySummary(date, userId, team.name);
+
+    return summary ? formatSummary(summary) : `Nothing recorded yet for ${date}.`;
+  }
+
+  async function handleWeek({ userId, team, timezone }) {
+    const lastDay = moment.tz(today(team, timezone), timezone);
+    const day = lastDay.clone().startOf('isoWeek');
+    const lines = [];
+    let totalMinutes = 0;
+
+    while (day.isSameOrBefore(lastDay, 'day')) {
+      const date = day.format('YYYY-MM-DD');
+      const summary = await attendanceService.calculateDailySummary(date, userId, team.name);
+
+      if (summary) {
+        totalMinutes += durationToMinutes(summary.netWorkingHours);
+        lines.push(`• ${day.format('ddd')} ${date}: ${summary.taskStartTime} → ${summary.taskEndTime}, net *${summary.netWorkingHours}*`);
+      } else {
+        lines.push(`• ${day.format('ddd')} ${date}: -`);
+      }
+      day.add(1, 'day');
+    }
+
+    lines.push(`*Week total: ${attendanceService.formatDuration(totalMinutes)}*`);
+    return lines.join('\n');
+  }
+
+  async function handlePunch({ userId, employeeName, slackUsername, channelName, team, timezone, args }) {
+    const [rawKeyword, time, dateArg] = args;
+    const keyword = rawKeyword && (resolveKeyword(rawKeyword) || resolveKeyword(`#${rawKeyword}`));
+
+    if (!keyword) {
+      return `Unknown keyword \`${rawKeyword || ''}\`. Use one of: ${ALL_KEYWORDS.join(', ')}`;
+    }
+
+    if (!time || !moment(time, ['HH:mm', 'HH:mm:ss'], true).isValid()) {
+      return 'Please give the time as HH:mm, e.g. `/attendance punch #lunchend 14:05`';
+    }
+
+    if (dateArg && !moment(dateArg, 'YYYY-MM-DD', true).isValid()) {
+      return 'Please give the date as YYYY-MM-DD.';
+    }
+
+    // Manual punches skip approval, so only today and the previous work day can be filled in
+    const currentDate = today(team, timezone);
+    const previousDate = previousWorkDay(currentDate, team);
+    const date = dateArg || currentDate;
+    if (date !== currentDate && date !== previousDate) {
+      return `Punches can only be recorded for today (${currentDate}) or the previous work day (${previousDate}). ` +
+        'Use `/attendance correct <YYYY-MM-DD>` to ask your approvers to fix an older day.';
+    }
+
+    const localTime = moment(time, ['HH:mm', 'HH:mm:ss']).format('HH:mm:ss');
+    const utcTime = workDateTimeToUtc(date, localTime, team.shiftCutoff, timezone);
+    if (moment.utc(utcTime).isAfter(moment())) {
+      return `${time} on ${date} is still in the future; punch it once it has happened.`;
+    }
+
+    // Keep the punch in the team channel the day's other events came from
+    const existing = await attendanceService.getUserEvents(date, userId, team.name);
+    const eventChannel = existing.length > 0
+      ? existing[existing.length - 1].channelName
+      : (getTeamForChannel(null, channelName) === team ? channelName : team.channels[0]);
+
+    const result = await attendanceService.logEvent({
+      date,
+      time: localTime,
+      utcTime,
+      timezone,
+      userId,
+      employeeName,
+      slackUsername,
+      channelName: eventChannel,
+      team: team.name,
+      keyword,
+      slackTs: `manual-${Date.now()}`,
+      source: 'manual',
+      actor: slackUsername
+    });
+
+    if (!result.logged) {
+      return 'That punch was already recorded.';
+    }
+
+    return `Recorded ${keyword} at ${time} on ${date} (manual).\n\n${formatSummary(result.summary)}`;
+  }
+
+  // Any team by name (e.g. from a manager channel), else the caller's
+  async function handleWho({ team, args }) {
+    const [teamArg] = args;
+    const whoTeam = teamArg ? getTeam(teamArg) : team;
+    if (!whoTeam) {
+      return `Unknown team \`${teamArg}\`.`;
+    }
+
+    const { date, people } = await presenceService.getTeamPresence(whoTeam.name);
+    const lines = [`*${whoTeam.name} – ${date}*`];
+
+    for (const [state, label] of Object.entries(PRESENCE_LABELS)) {
+      const inState = people.filter(person => person.state === state);
+      if (inState.length > 0) {
+        const names = inState.map(person => (person.since ? `${person.employeeName} (since ${person.since})` : person.employeeName));
+        lines.push(`${label} (${inState.length}): ${names.join(', ')}`);
+      }
+    }
+
+    return lines.length > 1 ? lines.join('\n') : `Nobody in ${whoTeam.name} yet.`;
+  }
+
+  // Opens the correction form; nothing to reply unless the date is invalid
+  async function handleCorrect({ userId, team, timezone, triggerId, args }) {
+    const [dateArg] = args;
+    if (dateArg && !moment(dateArg, 'YYYY-MM-DD', true).isValid()) {
+      return 'Please give the date as YYYY-MM-DD.';
+    }
+
+    await correctionService.openRequestForm(triggerId, { userId, date: dateArg || today(team, timezone), team });
+    return null;
+  }
+
+  const handlers = {
+    status: handleStatus,
+    today: handleToday,
+    week: handleWeek,
+    punch: handlePunch,
+    who: handleWho,
+    correct: handleCorrect
+  };
+
+  router.post('/slack/commands', verifySlackRequest, async (req, res) => {
+    const {
+      command, text = '', user_id: userId, channel_id: channelId, channel_name: channelName, response_url: responseUrl,
+      trigger_id: triggerId
+    } = req.body;
+    const [subcommand = 'status', ...args] = text.trim().split(/\s+/).filter(Boolean);
+
+    log.info('Received slash command', { command, subcommand, userId });
+
+    const handler = handlers[subcommand.toLowerCase()];
+    if (!handler) {
+      return res.json({ response_type: 'ephemeral', text: HELP_TEXT });
+    }
+
+    // Acknowledge within 3 seconds, reply through response_url
+    res.status(200).send();
+
+    try {
+      const employee = await getEmployee(userId);
+      const namedTeam = subcommand.toLowerCase() === 'who' && args[0] && getTeam(args[0]);
+      const team = namedTeam || await resolveTeam(channelId, channelName, userId);
+
+      if (!team) {
+        await respond(responseUrl, { response_type: 'ephemeral', text: 'Please run this in your team channel.' });
+        return;
+      }
+
+      const timezone = resolveTimezone(team, employee.userTimezone);
+      const reply = await handler({ ...employee, channelName, team, timezone, triggerId, args });
+      if (reply) {
+        await respond(responseUrl, { response_type: 'ephemeral', text: reply });
+      }
+    } catch (error) {
+      log.error('Error handling slash command', { command, subcommand, error });
+      await respond(responseUrl, { response_type: 'ephemeral', text: '⚠️ Something went wrong, please try again.' }).catch(() => {});
+    }
+  });
+
+  return router;
+}
+
+module.exports = createCommandsRouter;
@@ -0,0 +1,100 @@
+const path = require('path');
+const express = require('express');
+const moment = require('moment-timezone');
+const requireDashboardAuth = require('../middleware/requireDashboardAuth');
+const { getTeam } = require('../utils/teams');
+const { getCurrentWorkDate } = require('../utils/helpers');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'dashboard' });
+
+const STATIC_DIR = path.join(__dirname, '../../public/dashboard');
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+function createDashboardRouter({ dashboardService }) {
+  const router = express.Router();
+
+  router.use(['/dashboard', '/api/dashboard'], requireDashboardAuth);
+
+  // Static page; all data comes from the JSON routes below
+  router.use('/dashboard', express.static(STATIC_DIR));
+
+  // ?team= (required) and ?from= / ?to= (default: the team's last 30 days)
+  function parseFilters(req, res, { withRange = true } = {}) {
+    const team = getTeam(req.query.team);
+    if (!team) {
+      res.status(400).json({ error: 'team must be a configured team name' });
+      return null;
+    }
+    if (!withRange) {
+      return { team };
+    }
+
+    const to = req.query.to || getCurrentWorkDate(team.shiftCutoff, team.timezone);
+    const from = req.query.from || moment(to, 'YYYY-MM-DD').subtract(DEFAULT_RANGE_DAYS - 1, 'days').format('YYYY-MM-DD');
+    const valid = moment(from, 'YYYY-MM-DD', true).isValid() && moment(to, 'YYYY-MM-DD', true).isValid() && from <= to;
+
+    if (!valid || moment(to).diff(moment(from), 'days') >= MAX_RANGE_DAYS) {
+      res.status(400).json({ error: `from and to must be dates (YYYY-MM-DD), from <= to, at most ${MAX_RANGE_DAYS} days apart` });
+      return null;
+    }
+
+    return { team, from, to };
+  }
+
+  function handle(label, handler) {
+    return async (req, res) => {
+      try {
+        await handler(req, res);
+      } catch (error) {
+        log.error('Error loading dashboard data', { label, error });
+        res.status(500).json({ error: `Failed to load ${label}` });
+      }
+    };
+  }
+
+  router.get('/api/dashboard/teams', (req, res) => {
+    res.json({ teams: dashboardService.getTeams() });
+  });
+
+  // GET /api/dashboard/today?team=team-309
+  router.get('/api/dashboard/today', handle('board', async (req, res) => {
+    const filters = parseFilters(req, res, { withRange: false });
+    if (filters) {
+      res.json(await dashboardService.getBoard(filters.team.name));
+    }
+  }));
+
+  // GET /api/dashboard/employees?team=team-309&from=2026-10-01&to=2026-10-31
+  router.get('/api/dashboard/employees', handle('employees', async (req, res) => {
+    const filters = parseFilters(req, res);
+    if (filters) {
+      res.json({ employees: await dashboardService.getEmployees(filters.team.name, filters.from, filters.to) });
+    }
+  }));
+
+  // GET /api/dashboard/heatmap?team=team-309&userId=U0123ABCD&from=...&to=...
+  router.get('/api/dashboard/heatmap', handle('heatmap', async (req, res) => {
+    const filters = parseFilters(req, res);
+    if (!filters) {
+      return;
+    }
+    if (!req.query.userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+    res.json(await dashboardService.getHeatmap(filters.team.name, req.query.userId, filters.from, filters.to));
+  }));
+
+  // GET /api/dashboard/trends?team=team-309&from=...&to=...
+  router.get('/api/dashboard/trends', handle('trends', async (req, res) => {
+    const filters = parseFilters(req, res);
+    if (filters) {
+      res.json(await dashboardService.getTrends(filters.team.name, filters.from, filters.to));
+    }
+  }));
+
+  return router;
+}
+
+module.exports = createDashboardRouter;
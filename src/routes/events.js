@@ -0,0 +1,60 @@
+const express = require('express');
+const verifySlackRequest = require('../middleware/verifySlackRequest');
+const { logger } = require('../utils/logger');
+const { metrics } = require('../utils/metrics');
+
+const log = logger.child({ component: 'events' });
+
+function createEventsRouter({ jobQueue, dedupStore }) {
+  const router = express.Router();
+
+  // Main Slack events endpoint
+  router.post('/slack/events', verifySlackRequest, async (req, res) => {
+    const { type, challenge, event, event_id: eventId } = req.body;
+    const retryNum = req.headers['x-slack-retry-num'];
+    const retryReason = req.headers['x-slack-retry-reason'];
+
+    log.info('Received Slack event', { type, eventType: event?.type, eventId, retryNum, retryReason });
+    metrics.eventsReceived.inc({ type: (event && event.type) || type || 'unknown' });
+
+    // Handle URL verification challenge
+    if (type === 'url_verification') {
+      log.info('URL verification challenge received');
+      return res.json({ challenge });
+    }
+
+    if (type !== 'event_callback' || !event) {
+      log.info('Not an event_callback, ignoring', { type });
+      return res.status(200).send();
+    }
+
+    // Slack redelivers the same event_id on retries - only the first delivery is processed
+    const dedupKey = eventId && `event-${eventId}`;
+
+    try {
+      if (dedupKey && !(await dedupStore.claim(dedupKey))) {
+        log.info('Duplicate delivery, skipping', { eventId, retryNum: retryNum || 0, retryReason });
+        metrics.duplicatesSkipped.inc({ kind: 'delivery' });
+        return res.status(200).send();
+      }
+
+      // Persist before acknowledging; the queue worker processes it (with retries)
+      await jobQueue.enqueue('slack-event', event, { eventId, requestId: req.id });
+    } catch (error) {
+      log.error('Error queueing event', { eventId, error });
+      metrics.errors.inc({ component: 'events' });
+      if (dedupKey) {
+        await dedupStore.release(dedupKey).catch(() => {});
+      }
+      // Not queued - let Slack deliver it again
+      return res.status(500).send();
+    }
+
+    // Respond to Slack (within 3 seconds)
+    res.status(200).send();
+  });
+
+  return router;
+}
+
+module.exports = createEventsRouter;
@@ -0,0 +1,122 @@
+const express = require('express');
+const moment = require('moment-timezone');
+const ExcelJS = require('exceljs');
+const requireAdmin = require('../middleware/requireAdmin');
+const { RAW_LOG_COLUMNS, DAILY_SUMMARY_COLUMNS } = require('../services/storage');
+const { getTeamForChannel } = require('../utils/teams');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'export' });
+
+const FORMATS = ['csv', 'xlsx'];
+const TYPES = ['summary', 'raw'];
+
+function csvValue(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+
+  // Keep spreadsheet apps from evaluating cells as formulas
+  if (/^[=+@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function writeCsv(res, columns, records, filename) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+
+  res.write(columns.map(column => csvValue(column.header)).join(',') + '\n');
+  for (const record of records) {
+    res.write(columns.map(column => csvValue(record[column.key])).join(',') + '\n');
+  }
+  res.end();
+}
+
+async function writeXlsx(res, columns, records, filename, sheetName) {
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: 16 }));
+
+  for (const record of records) {
+    worksheet.addRow(record).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+}
+
+function createExportRouter({ storage }) {
+  const router = express.Router();
+
+  // Export raw events or daily summaries, same column layout as the sheets
+  // GET /export?from=2026-10-01&to=2026-10-31&channel=team-309&employee=U0123ABCD&format=csv|xlsx&type=summary|raw
+  router.get('/export', requireAdmin, async (req, res) => {
+    const { from, to = from, employee } = req.query;
+    const channel = req.query.channel && req.query.channel.replace(/^#/, '');
+    const format = (req.query.format || 'csv').toLowerCase();
+    const type = (req.query.type || 'summary').toLowerCase();
+
+    if (!moment(from, 'YYYY-MM-DD', true).isValid() || !moment(to, 'YYYY-MM-DD', true).isValid() || from > to) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD) with from <= to' });
+    }
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${FORMATS.join(', ')}` });
+    }
+    if (!TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${TYPES.join(', ')}` });
+    }
+
+    // Slack user ID or display name
+    const matchesEmployee = record => !employee ||
+      record.userId === employee ||
+      record.employeeName.toLowerCase() === employee.toLowerCase();
+
+    try {
+      let columns;
+      let records;
+
+      if (type === 'raw') {
+        columns = RAW_LOG_COLUMNS;
+        records = (await storage.getEventsBetween(from, to))
+          .filter(event => !channel || event.channelName === channel)
+          .filter(matchesEmployee);
+      } else {
+        columns = DAILY_SUMMARY_COLUMNS;
+        records = (await storage.getDailySummaries(from, to)).filter(matchesEmployee);
+
+        // Summaries are per team - keep the team the channel belongs to
+        if (channel) {
+          const team = getTeamForChannel(channel, channel);
+          records = records.filter(summary => team && summary.team === team.name);
+        }
+
+        records.sort((a, b) => a.date.localeCompare(b.date) || a.employeeName.localeCompare(b.employeeName));
+      }
+
+      const sheetName = type === 'raw' ? 'raw_logs' : 'daily_summary';
+      const filename = `${sheetName}_${from}_${to}${channel ? `_${channel}` : ''}`;
+      log.info('Exporting attendance', { type, format, from, to, rows: records.length });
+
+      if (format === 'xlsx') {
+        await writeXlsx(res, columns, records, filename, sheetName);
+      } else {
+        writeCsv(res, columns, records, filename);
+      }
+    } catch (error) {
+      log.error('Error exporting attendance', { error });
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Export failed' });
+      } else {
+        res.destroy(error);
+      }
+    }
+  });
+
+  return router;
+}
+
+module.exports = createExportRouter;
@@ -0,0 +1,74 @@
+const express = require('express');
+const { logger } = require('../utils/logger');
+const { safeEqual } = require('../utils/auth');
+const { renderMetrics } = require('../utils/metrics');
+
+const log = logger.child({ component: 'health' });
+
+const CHECK_TIMEOUT_MS = 5000;
+
+// Run one dependency check, never longer than CHECK_TIMEOUT_MS
+async function runCheck(check) {
+  const start = Date.now();
+  let timer = null;
+
+  try {
+    await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS} ms`)), CHECK_TIMEOUT_MS);
+      })
+    ]);
+    return { ok: true, latencyMs: Date.now() - start };
+  } catch (error) {
+    return { ok: false, latencyMs: Date.now() - start, error: (error.data && error.data.error) || error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Optional bearer token for /metrics (METRICS_TOKEN); open when unset so a local Prometheus can scrape it
+function metricsAuthorized(req) {
+  const metricsToken = process.env.METRICS_TOKEN;
+  if (!metricsToken) {
+    return true;
+  }
+
+  const header = req.headers.authorization || '';
+  return safeEqual(metricsToken, header.startsWith('Bearer ') ? header.slice(7) : '');
+}
+
+function createHealthRouter({ storage, slackClient }) {
+  const router = express.Router();
+
+  // Storage and Slack reachability: 200 when both answer, 503 otherwise
+  router.get('/health', async (req, res) => {
+    const [storageCheck, slackCheck] = await Promise.all([
+      runCheck(() => storage.checkHealth()),
+      runCheck(() => slackClient.auth.test())
+    ]);
+    const healthy = storageCheck.ok && slackCheck.ok;
+
+    if (!healthy) {
+      log.warn('Health check failed', { storage: storageCheck, slack: slackCheck });
+    }
+
+    res.status(healthy ? 200 : 503).json({
+      status: healthy ? 'healthy' : 'unhealthy',
+      timestamp: new Date().toISOString(),
+      checks: { storage: storageCheck, slack: slackCheck }
+    });
+  });
+
+  // Prometheus text format
+  router.get('/metrics', (req, res) => {
+    if (!metricsAuthorized(req)) {
+      return res.status(401).send('Unauthorized');
+    }
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+  });
+
+  return router;
+}
+
+module.exports = createHealthRouter;
@@ -0,0 +1,104 @@
+const express = require('express');
+const verifySlackRequest = require('../middleware/verifySlackRequest');
+const SlackNotifier = require('../services/notifier');
+const CorrectionService = require('../services/corrections');
+const { getTeam } = require('../utils/teams');
+const { logger } = require('../utils/logger');
+const { respond } = require('../utils/slackResponse');
+
+const log = logger.child({ component: 'interactions' });
+
+function createInteractionsRouter({ correctionService, jobQueue }) {
+  const router = express.Router();
+
+  // "Something's wrong" on the day summary DM
+  async function openRequestForm(payload, action) {
+    const { date, team: teamName } = JSON.parse(action.value);
+    const team = getTeam(teamName);
+    if (!team) {
+      log.warn('Correction form for unknown team', { team: teamName });
+      return;
+    }
+
+    await correctionService.openRequestForm(payload.trigger_id, { userId: payload.user.id, date, team });
+  }
+
+  // Approve / Reject on a correction request; the message is replaced with the decision
+  async function decide(payload, action) {
+    const { id, date } = JSON.parse(action.value);
+    const approved = action.action_id === CorrectionService.APPROVE_ACTION;
+    const { correction, error } = await correctionService.decide(id, date, payload.user.id, approved);
+
+    if (error) {
+      await respond(payload.response_url, { response_type: 'ephemeral', replace_original: false, text: error });
+      return;
+    }
+
+    await respond(payload.response_url, {
+      replace_original: true,
+      text: `Correction ${correction.status}: ${correctionService.describe(correction)}`,
+      blocks: [
+        ...correctionService.buildRequestBlocks(correction, false),
+        {
+          type: 'context',
+          elements: [{
+            type: 'mrkdwn',
+            text: `${approved ? '✅ Approved' : '🚫 Rejected'} by <@${correction.actor}> at ${correction.recordedAt}`
+          }]
+        }
+      ]
+    });
+  }
+
+  router.post('/slack/interactions', verifySlackRequest, async (req, res) => {
+    let payload;
+    try {
+      payload = JSON.parse(req.body.payload);
+    } catch (error) {
+      return res.status(400).send('Invalid payload');
+    }
+
+    log.info('Received Slack interaction', { type: payload.type, userId: payload.user && payload.user.id });
+
+    try {
+      if (payload.type === 'view_submission' && payload.view.callback_id === CorrectionService.REQUEST_VIEW) {
+        // Field errors keep the modal open
+        const { errors, submission } = correctionService.parseSubmission(payload);
+        if (errors) {
+          return res.json({ response_action: 'errors', errors });
+        }
+
+        // Recorded and sent to the approvers from the queue: a slow Sheets or Slack call
+        // must not push the acknowledgement past 3 seconds (Slack's retry would duplicate it)
+        await jobQueue.enqueue('correction-request', submission, { userId: submission.userId });
+        return res.status(200).send();
+      }
+
+      if (payload.type !== 'block_actions') {
+        return res.status(200).send();
+      }
+
+      const action = (payload.actions || [])[0];
+      if (action && action.action_id === SlackNotifier.REPORT_PROBLEM_ACTION) {
+        // trigger_id expires after 3 seconds, so the modal opens before acknowledging
+        await openRequestForm(payload, action);
+        return res.status(200).send();
+      }
+
+      res.status(200).send();
+
+      if (action && [CorrectionService.APPROVE_ACTION, CorrectionService.REJECT_ACTION].includes(action.action_id)) {
+        await decide(payload, action);
+      }
+    } catch (error) {
+      log.error('Error handling interaction', { error });
+      if (!res.headersSent) {
+        res.status(500).send();
+      }
+    }
+  });
+
+  return router;
+}
+
+module.exports = createInteractionsRouter;
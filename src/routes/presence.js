@@ -0,0 +1,27 @@
+const express = require('express');
+const requireDashboardAuth = require('../middleware/requireDashboardAuth');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'presence' });
+
+function createPresenceRouter({ presenceService }) {
+  const router = express.Router();
+
+  // Live presence of a team: GET /api/presence?team=team-309 (same auth as the dashboard)
+  router.get('/api/presence', requireDashboardAuth, async (req, res) => {
+    try {
+      const presence = await presenceService.getTeamPresence(req.query.team);
+      if (!presence) {
+        return res.status(400).json({ error: 'team must be a configured team name' });
+      }
+      res.json(presence);
+    } catch (error) {
+      log.error('Error loading presence', { error });
+      res.status(500).json({ error: 'Failed to load presence' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createPresenceRouter;
@@ -1,95 +1,453 @@
 const moment = require('moment-timezone');
-const { KEYWORDS, timeToMinutes } = require('../utils/helpers');
+const { KEYWORDS, isFinalReport, timeToShiftMinutes, roundMinutes, workDateTimeToUtc, getCurrentWorkDate } = require('../utils/helpers');
+const { getTeams, getTeamForChannel, getTeamSettings } = require('../utils/teams');
+const { STATUSES, getHoliday, isWorkDay } = require('../utils/calendar');
+const { logger } = require('../utils/logger');
+const { metrics } = require('../utils/metrics');
+
+const log = logger.child({ component: 'attendance' });
+
+// Keywords that declare the day's status rather than track time
+const STATUS_KEYWORDS = [KEYWORDS.LEAVE, KEYWORDS.WFH, KEYWORDS.HALF_DAY];
+
+// Presence state machine: not-arrived → working → lunch / break → working → left
+const PRESENCE = {
+  NOT_ARRIVED: 'not-arrived',
+  WORKING: 'working',
+  LUNCH: 'lunch',
+  BREAK: 'break',
+  LEFT: 'left',
+  LEAVE: 'leave'
+};
+
+const ARRIVAL = { [KEYWORDS.ENTRY]: PRESENCE.WORKING, [KEYWORDS.DAILY_TASK]: PRESENCE.WORKING };
+const DEPARTURE = { [KEYWORDS.DAILY_REPORT]: PRESENCE.LEFT, [KEYWORDS.EXIT]: PRESENCE.LEFT };
+
+// Allowed keywords per state; any other tracking keyword is rejected (state kept, flagged)
+const PRESENCE_TRANSITIONS = {
+  [PRESENCE.NOT_ARRIVED]: { ...ARRIVAL, [KEYWORDS.LEAVE]: PRESENCE.LEAVE },
+  [PRESENCE.WORKING]: {
+    ...ARRIVAL, ...DEPARTURE, [KEYWORDS.LUNCH_START]: PRESENCE.LUNCH, [KEYWORDS.BREAK_START]: PRESENCE.BREAK
+  },
+  [PRESENCE.LUNCH]: { ...DEPARTURE, [KEYWORDS.LUNCH_END]: PRESENCE.WORKING },
+  [PRESENCE.BREAK]: { ...DEPARTURE, [KEYWORDS.BREAK_END]: PRESENCE.WORKING },
+  [PRESENCE.LEFT]: { ...ARRIVAL, ...DEPARTURE }, // Back in after leaving, or #exit after #daily-report
+  [PRESENCE.LEAVE]: { ...ARRIVAL }
+};
 
 class AttendanceService {
-  constructor(sheetsService) {
-    this.sheetsService = sheetsService;
-    this.timezone = process.env.TIMEZONE || 'Asia/Kolkata';
+  constructor(storage, dedupStore) {
+    this.storage = storage;
+    this.dedupStore = dedupStore;
+    this.presence = new Map(); // `${team}|${userId}` → latest work day's presence
   }
 
   async logEvent(eventData) {
-    const { date, time, employeeName, slackUsername, channelName, keyword, slackTs } = eventData;
-
-    // Check for duplicate events
-    if (this.sheetsService.isEventProcessed(slackTs, keyword)) {
-      console.log(`Skipping duplicate event: ${slackTs}-${keyword}`);
-      return { logged: false, reason: 'duplicate' };
+    const {
+      date, time, utcTime, timezone, userId, employeeName, slackUsername, channelName, team, keyword, slackTs, source, actor
+    } = eventData;
+    const action = eventData.action || 'log';
+    const revision = eventData.revision || slackTs;
+
+    // Check for duplicate events (durable across restarts and instances)
+    const dedupKey = action === 'log'
+      ? `${slackTs}-${keyword}`
+      : `${slackTs}-${action}-${revision}-${keyword}`;
+    if (!(await this.dedupStore.claim(dedupKey))) {
+      log.info('Skipping duplicate event', { dedupKey });
+      metrics.duplicatesSkipped.inc({ kind: 'event' });
+      // A retried job may have written the event but failed on the summary
+      const summary = await this.updateDailySummary(date, userId, team);
+      return { logged: false, reason: 'duplicate', summary };
     }
 
     // Append to raw logs (without Slack Username)
-    await this.sheetsService.appendToRawLogs({
-      date,
-      time,
-      employeeName,
-      channelName,
-      keyword
-    });
+    try {
+      await this.storage.appendEvent({
+        date,
+        time,
+        employeeName,
+        channelName,
+        keyword,
+        source: source || 'slack', // 'manual' for /attendance punch corrections
+        actor: actor || '',        // Who recorded a manual event
+        slackTs,                   // Message the event belongs to
+        action,                    // 'log', 'edit' (supersedes) or 'void'
+        revision,                  // Latest revision of a message wins
+        team,                      // Team the channel belongs to
+        userId,                    // Slack user ID, the identity key
+        utcTime,                   // The instant, independent of timezone
+        timezone                   // Timezone of date / time (user's Slack tz or team override)
+      });
+    } catch (error) {
+      // Not written, so a later delivery of the same event must not be skipped
+      await this.dedupStore.release(dedupKey);
+      throw error;
+    }
 
-    console.log(`📝 Logged raw event: ${keyword} at ${time}`);
+    log.info('Logged raw event', { action, keyword, date, time, userId, team, slackTs });
 
-    // Update daily summary (using employeeName instead of slackUsername)
-    const summary = await this.updateDailySummary(date, employeeName);
+    // Update daily summary (keyed by Slack user ID, not display name)
+    const summary = await this.updateDailySummary(date, userId, team);
 
     // Return summary for potential Slack notification
     return { 
       logged: true, 
       keyword,
       summary,
-      isFinalReport: keyword === KEYWORDS.EXIT || keyword === KEYWORDS.DAILY_REPORT
+      isFinalReport: isFinalReport(keyword)
     };
   }
 
-  async updateDailySummary(date, employeeName) {
-    // Get all logs for this date
-    const dailyLogs = await this.sheetsService.getDailyLogs(date);
-    // Filter by Employee Name (column index 2, since Slack Username removed)
-    const userLogs = dailyLogs.filter(log => log[2] === employeeName);
+  // Replace the events of an edited message. Without keywords the message is voided.
+  async reviseMessage(eventData) {
+    const { keywords, ...messageData } = eventData;
+    const { date, slackTs, revision } = messageData;
+
+    if (keywords.length === 0) {
+      return this.voidMessage({ date, slackTs, revision });
+    }
+
+    let result = null;
+    for (const keyword of keywords) {
+      result = await this.logEvent({ ...messageData, keyword, action: 'edit' });
+    }
+
+    return result;
+  }
+
+  // Void every effective event of a message (deleted, or edited to no keyword).
+  // The raw log stays immutable: a void record is appended for the original ts.
+  async voidMessage({ date, slackTs, revision }) {
+    const events = this.getEffectiveEvents(await this.storage.getEvents(date))
+      .filter(event => event.slackTs === slackTs);
+
+    if (events.length === 0) {
+      log.info('No recorded events for message, nothing to void', { slackTs });
+      return { logged: false, reason: 'not-found' };
+    }
+
+    let result = null;
+    for (const event of events) {
+      result = await this.logEvent({ ...event, action: 'void', revision });
+    }
+
+    return result;
+  }
+
+  // Drop events superseded by a later revision of the same message, and voided ones.
+  // Events without a Slack ts (logged before revisions existed) always count.
+  getEffectiveEvents(events) {
+    const latestRevision = new Map();
+
+    for (const event of events) {
+      if (!event.slackTs || event.slackTs === '-') {
+        continue;
+      }
+      const current = latestRevision.get(event.slackTs);
+      if (current === undefined || this.compareRevisions(event.revision, current) > 0) {
+        latestRevision.set(event.slackTs, event.revision);
+      }
+    }
+
+    return events.filter(event => {
+      if (!event.slackTs || event.slackTs === '-') {
+        return true;
+      }
+      return event.revision === latestRevision.get(event.slackTs) && event.action !== 'void';
+    });
+  }
+
+  compareRevisions(a, b) {
+    return (parseFloat(a) || 0) - (parseFloat(b) || 0);
+  }
+
+  async updateDailySummary(date, userId, team) {
+    const summaryData = await this.buildDailySummary(date, userId, team);
+    if (!summaryData) {
+      return null;
+    }
+
+    // Update the daily summary in storage
+    await this.storage.upsertDailySummary(summaryData);
+
+    log.info('Updated daily summary', {
+      userId,
+      team,
+      date,
+      totalHours: summaryData.totalHours,
+      netWorkingHours: summaryData.netWorkingHours,
+      adjustedHours: summaryData.adjustedHours,
+      breakCount: summaryData.breakCount,
+      flags: summaryData.flags || undefined
+    });
+
+    return summaryData;
+  }
 
+  // Recompute many { date, userId, team } summaries and store them in one write
+  async updateDailySummaries(keys) {
+    const summaries = [];
+    for (const { date, userId, team } of keys) {
+      const summaryData = await this.buildDailySummary(date, userId, team);
+      if (summaryData) {
+        summaries.push(summaryData);
+      }
+    }
+
+    if (summaries.length > 0) {
+      await this.storage.upsertDailySummaries(summaries);
+      log.info('Updated daily summaries', { rows: summaries.length });
+    }
+    return summaries;
+  }
+
+  // Recompute and store the summary of everyone with events on a work date
+  async recomputeDailySummaries(date) {
+    const events = await this.getDayEvents(date);
+    const pairs = new Map(events.map(event => [`${event.userId}|${event.team}`, { date, userId: event.userId, team: event.team }]));
+
+    await this.updateDailySummaries([...pairs.values()]);
+    return pairs.size;
+  }
+
+  // The summary to store for a user and team on a date, or null when there is nothing to store
+  async buildDailySummary(date, userId, team) {
+    await this.updatePresence(date, userId, team);
+    const summaryData = await this.calculateDailySummary(date, userId, team);
+    if (summaryData) {
+      return summaryData;
+    }
+
+    // Every event was voided: reset a stored row to the Absent / Holiday / Weekend status
+    const [stored] = (await this.storage.getDailySummaries(date, date))
+      .filter(summary => summary.userId === userId && summary.team === team);
+    return stored ? this.buildStatusSummary(date, stored, team) : null;
+  }
+
+  // Replay an employee's effective events of a day through the presence state machine.
+  // Replaying (rather than stepping on each new keyword) keeps it right after edits,
+  // deletions, late punches and corrections.
+  async updatePresence(date, userId, team) {
+    const key = `${team}|${userId}`;
+    const current = this.presence.get(key);
+
+    // Only the latest work day is kept (backfills and recomputes of old days leave it alone)
+    if (current && current.date > date) {
+      return current;
+    }
+
+    const userLogs = await this.getUserEvents(date, userId, team);
     if (userLogs.length === 0) {
+      this.presence.delete(key);
       return null;
     }
 
-    // Sort logs by time
-    userLogs.sort((a, b) => {
-      const timeA = timeToMinutes(a[1]);
-      const timeB = timeToMinutes(b[1]);
-      return timeA - timeB;
+    const presence = { ...this.replayPresence(userLogs), date, userId, team };
+    this.presence.set(key, presence);
+    return presence;
+  }
+
+  replayPresence(userLogs) {
+    const presence = { state: PRESENCE.NOT_ARRIVED, since: null, keyword: null, flags: [] };
+
+    for (const log of userLogs) {
+      presence.employeeName = log.employeeName;
+      presence.timezone = log.timezone;
+
+      const next = PRESENCE_TRANSITIONS[presence.state][log.keyword];
+      if (next) {
+        presence.state = next;
+        presence.since = log.time;
+        presence.keyword = log.keyword;
+      } else if (!STATUS_KEYWORDS.includes(log.keyword)) {
+        // e.g. #breakend without #breakstart, #lunchstart while on a break
+        presence.flags.push(`${log.keyword} at ${log.time} while ${presence.state}`);
+      }
+    }
+
+    return presence;
+  }
+
+  // Rebuild presence from the current work day's events (on startup). Yesterday is
+  // included for people whose own timezone is still on the previous work day.
+  async rebuildPresence() {
+    const dates = new Set();
+    for (const team of getTeams()) {
+      const today = getCurrentWorkDate(team.shiftCutoff, team.timezone);
+      dates.add(moment(today, 'YYYY-MM-DD').subtract(1, 'day').format('YYYY-MM-DD'));
+      dates.add(today);
+    }
+
+    this.presence.clear();
+    for (const date of [...dates].sort()) {
+      const events = await this.getDayEvents(date);
+      const pairs = new Map(events.map(event => [`${event.team}|${event.userId}`, event]));
+      for (const { userId, team } of pairs.values()) {
+        await this.updatePresence(date, userId, team);
+      }
+    }
+
+    return this.presence.size;
+  }
+
+  // Presence of a team's members on their current work day (in their own timezone)
+  getPresence(teamName) {
+    const settings = getTeamSettings(teamName);
+
+    return [...this.presence.values()]
+      .filter(presence => presence.team === teamName)
+      .filter(presence => {
+        const timezone = presence.timezone && presence.timezone !== '-' ? presence.timezone : settings.timezone;
+        return presence.date === getCurrentWorkDate(settings.shiftCutoff, timezone);
+      })
+      .map(presence => ({ ...presence, flags: [...presence.flags] }))
+      .sort((a, b) => a.employeeName.localeCompare(b.employeeName));
+  }
+
+  // Effective (non-superseded, non-voided) events for a work date, with approved corrections applied
+  async getDayEvents(date) {
+    const events = this.getEffectiveEvents(await this.storage.getEvents(date));
+    const corrections = this.getApprovedCorrections(await this.storage.getCorrections(date, date));
+
+    // Rows logged before teams were recorded: map them through the channel name
+    const teamEvents = events.map(event => {
+      if (event.team && event.team !== '-') {
+        return event;
+      }
+      const team = getTeamForChannel(null, event.channelName);
+      return { ...event, team: team ? team.name : '-' };
     });
 
+    return this.applyCorrections(teamEvents, corrections);
+  }
+
+  // Current state of every correction (its latest audit row); approved ones only, in approval order
+  getApprovedCorrections(entries) {
+    const latest = new Map();
+    entries.forEach(entry => latest.set(entry.id, entry));
+
+    return [...latest.values()]
+      .filter(entry => entry.status === 'approved')
+      .sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+  }
+
+  // raw_logs stays as posted; approved corrections are overlaid on the effective events
+  applyCorrections(events, corrections) {
+    let corrected = events;
+
+    for (const correction of corrections) {
+      const isTarget = event => event.userId === correction.userId &&
+        event.slackTs === correction.targetTs && event.keyword === correction.keyword;
+
+      if (correction.type === 'add') {
+        corrected = [...corrected, this.correctionToEvent(correction)];
+      } else if (correction.type === 'void') {
+        corrected = corrected.filter(event => !isTarget(event));
+      } else if (correction.type === 'retime') {
+        corrected = corrected.map(event => {
+          if (!isTarget(event)) {
+            return event;
+          }
+          const timezone = event.timezone && event.timezone !== '-' ? event.timezone : correction.timezone;
+          return {
+            ...event,
+            time: correction.time,
+            utcTime: this.correctionUtcTime(correction, timezone),
+            correctionId: correction.id
+          };
+        });
+      }
+    }
+
+    return corrected;
+  }
+
+  // The event an approved 'add' correction stands for
+  correctionToEvent(correction) {
+    const team = getTeamSettings(correction.team);
+
+    return {
+      date: correction.date,
+      time: correction.time,
+      utcTime: this.correctionUtcTime(correction, correction.timezone),
+      timezone: correction.timezone,
+      userId: correction.userId,
+      employeeName: correction.employeeName,
+      channelName: (team.channels && team.channels[0]) || '-',
+      keyword: correction.keyword,
+      source: 'correction',
+      actor: correction.actor, // Approver
+      slackTs: `correction-${correction.id}`,
+      action: 'log',
+      revision: correction.recordedAt,
+      team: correction.team,
+      correctionId: correction.id
+    };
+  }
+
+  correctionUtcTime(correction, timezone) {
+    return workDateTimeToUtc(correction.date, correction.time, getTeamSettings(correction.team).shiftCutoff, timezone);
+  }
+
+  // An employee's events for a work date (optionally one team's), in shift order
+  async getUserEvents(date, userId, team) {
+    // Get all logs for this date
+    const dailyLogs = await this.getDayEvents(date);
+    const userLogs = dailyLogs.filter(log => log.userId === userId && (!team || log.team === team));
+
+    // Sort logs by time within the shift (06:10 after 22:05 for night shifts)
+    return userLogs.sort((a, b) => this.shiftMinutes(a) - this.shiftMinutes(b));
+  }
+
+  // Compute an employee's summary for a work date without writing it
+  async calculateDailySummary(date, userId, team) {
+    const userLogs = await this.getUserEvents(date, userId, team);
+
+    if (userLogs.length === 0) {
+      return null;
+    }
+
+    // Display name from the latest event (names can change during the day)
+    const { employeeName } = userLogs[userLogs.length - 1];
+
     // ============================================
     // TOTAL HOURS: #entry to #exit
     // ============================================
-    const entryLog = userLogs.find(log => log[4] === KEYWORDS.ENTRY); // Column E (index 4) is Keyword
-    const entryTime = entryLog ? entryLog[1] : '-'; // Column B (index 1) is Time
+    const entryLog = userLogs.find(log => log.keyword === KEYWORDS.ENTRY);
+    const entryTime = entryLog ? entryLog.time : '-';
 
-    const exitLogs = userLogs.filter(log => log[4] === KEYWORDS.EXIT);
-    const exitTime = exitLogs.length > 0 ? exitLogs[exitLogs.length - 1][1] : '-';
+    const exitLogs = userLogs.filter(log => log.keyword === KEYWORDS.EXIT);
+    const exitTime = exitLogs.length > 0 ? exitLogs[exitLogs.length - 1].time : '-';
 
     // Total Hours = #exit - #entry
-    const totalHours = this.calculateDuration(entryTime, exitTime);
+    const totalHours = this.calculateDuration(entryLog, exitLogs[exitLogs.length - 1]);
 
     // ============================================
     // WORKING HOURS: #daily-task to #daily-report
     // ============================================
-    const taskStartLog = userLogs.find(log => log[4] === KEYWORDS.DAILY_TASK);
-    const taskStartTime = taskStartLog ? taskStartLog[1] : '-';
+    const taskStartLog = userLogs.find(log => log.keyword === KEYWORDS.DAILY_TASK);
+    const taskStartTime = taskStartLog ? taskStartLog.time : '-';
 
-    const taskEndLogs = userLogs.filter(log => log[4] === KEYWORDS.DAILY_REPORT);
-    const taskEndTime = taskEndLogs.length > 0 ? taskEndLogs[taskEndLogs.length - 1][1] : '-';
+    const taskEndLogs = userLogs.filter(log => log.keyword === KEYWORDS.DAILY_REPORT);
+    const taskEndTime = taskEndLogs.length > 0 ? taskEndLogs[taskEndLogs.length - 1].time : '-';
 
     // Gross working time (before deducting lunch and breaks)
-    const grossWorkingTime = this.calculateDuration(taskStartTime, taskEndTime);
-
-    // ============================================
-    // LUNCH DURATION: #lunchstart to #lunchend
-    // ============================================
-    const lunchDuration = this.calculateLunchDuration(userLogs);
+    const grossWorkingTime = this.calculateDuration(taskStartLog, taskEndLogs[taskEndLogs.length - 1]);
 
     // ============================================
+    // LUNCH DURATION: #lunchstart to #lunchend pairs
     // BREAK DURATION: Sum of all #breakstart to #breakend pairs
+    // Unclosed ones are auto-closed if the team's policy says so
     // ============================================
-    const breakDuration = this.calculateBreakDuration(userLogs);
-    const breakCount = this.countBreaks(userLogs);
+    const settings = getTeamSettings(team);
+    const reportLog = taskEndLogs[taskEndLogs.length - 1];
+    const lunch = this.collectIntervals(userLogs, KEYWORDS.LUNCH_START, KEYWORDS.LUNCH_END, settings.autoCloseLunchMinutes, reportLog);
+    const breaks = this.collectIntervals(userLogs, KEYWORDS.BREAK_START, KEYWORDS.BREAK_END, settings.autoCloseBreakMinutes, reportLog);
+
+    const lunchDuration = this.calculateLunchDuration(lunch);
+    const breakDuration = this.calculateBreakDuration(breaks);
+    const breakCount = breaks.intervals.length;
 
     // ============================================
     // NET WORKING HOURS
@@ -97,9 +455,21 @@ class AttendanceService {
     // ============================================
     const netWorkingHours = Math.max(0, grossWorkingTime - lunchDuration - breakDuration);
 
+    const flags = this.detectAnomalies(userLogs, lunch, breaks);
+
+    // ============================================
+    // POLICY: minimum lunch, rounding, required hours, overtime
+    // ============================================
+    const policy = this.applyPolicy(settings, {
+      grossWorkingTime, lunchDuration, breakDuration, dayComplete: Boolean(taskStartLog && reportLog)
+    });
+
     const summaryData = {
       date,
+      userId,
       employeeName,
+      team,
+      status: this.determineStatus(date, team, userLogs),
       // Office presence
       entryTime,           // #entry time
       exitTime,            // #exit time
@@ -112,38 +482,89 @@ class AttendanceService {
       breakDuration: this.formatDuration(breakDuration),
       breakCount,
       // Final calculation
-      netWorkingHours: this.formatDuration(netWorkingHours)
+      netWorkingHours: this.formatDuration(netWorkingHours),
+      // Anomalies worth a look, e.g. "unclosed-break, multiple-lunches"
+      flags: flags.join(', '),
+      // Team policy
+      requiredHours: policy.requiredMinutes === null ? '-' : this.formatDuration(policy.requiredMinutes),
+      shortfall: policy.shortfall === null ? '-' : this.formatDuration(policy.shortfall),
+      overtime: policy.overtime === null ? '-' : this.formatDuration(policy.overtime),
+      adjustedHours: this.formatDuration(policy.adjustedMinutes)  // Net hours after the policy
     };
 
-    // Update the daily summary in Google Sheets
-    await this.sheetsService.updateDailySummary(summaryData);
-
-    console.log(`\n📊 Summary for ${employeeName} on ${date}:`);
-    console.log(`   ┌─────────────────────────────────────────┐`);
-    console.log(`   │ OFFICE PRESENCE                         │`);
-    console.log(`   │   Entry (#entry):     ${entryTime.padEnd(12)}    │`);
-    console.log(`   │   Exit (#exit):       ${exitTime.padEnd(12)}    │`);
-    console.log(`   │   Total Hours:        ${this.formatDuration(totalHours).padEnd(12)}    │`);
-    console.log(`   ├─────────────────────────────────────────┤`);
-    console.log(`   │ WORK TRACKING                           │`);
-    console.log(`   │   Task Start:         ${taskStartTime.padEnd(12)}    │`);
-    console.log(`   │   Task End:           ${taskEndTime.padEnd(12)}    │`);
-    console.log(`   │   Lunch Duration:     ${this.formatDuration(lunchDuration).padEnd(12)}    │`);
-    console.log(`   │   Break Duration:     ${this.formatDuration(breakDuration)} (${breakCount} breaks) │`);
-    console.log(`   ├─────────────────────────────────────────┤`);
-    console.log(`   │ NET WORKING HOURS:    ${this.formatDuration(netWorkingHours).padEnd(12)}    │`);
-    console.log(`   └─────────────────────────────────────────┘\n`);
-
     return summaryData;
   }
 
-  calculateDuration(startTime, endTime) {
-    if (startTime === '-' || endTime === '-') {
+  // Declared #halfday / #wfh / #leave first, then Present if anything was posted,
+  // else Holiday / Weekend / Absent from the calendar
+  determineStatus(date, team, userLogs) {
+    const keywords = new Set(userLogs.map(log => log.keyword));
+    const worked = userLogs.some(log => !STATUS_KEYWORDS.includes(log.keyword));
+
+    if (keywords.has(KEYWORDS.HALF_DAY)) {
+      return STATUSES.HALF_DAY;
+    }
+    if (keywords.has(KEYWORDS.WFH)) {
+      return STATUSES.WFH;
+    }
+    if (worked) {
+      return STATUSES.PRESENT;
+    }
+    if (keywords.has(KEYWORDS.LEAVE)) {
+      return STATUSES.LEAVE;
+    }
+    if (getHoliday(date, team)) {
+      return STATUSES.HOLIDAY;
+    }
+    if (!isWorkDay(date, getTeamSettings(team))) {
+      return STATUSES.WEEKEND;
+    }
+    return STATUSES.ABSENT;
+  }
+
+  // Summary row for someone with no events on a date (Absent, Holiday or Weekend)
+  buildStatusSummary(date, { userId, employeeName }, team) {
+    const settings = getTeamSettings(team);
+    const status = this.determineStatus(date, team, []);
+    const requiredHours = status === STATUSES.ABSENT && settings.requiredHours
+      ? this.formatDuration(settings.requiredHours * 60)
+      : '-';
+
+    return {
+      date,
+      userId,
+      employeeName,
+      team,
+      status,
+      entryTime: '-',
+      exitTime: '-',
+      totalHours: '0:00',
+      taskStartTime: '-',
+      taskEndTime: '-',
+      lunchDuration: '0:00',
+      breakDuration: '0:00',
+      breakCount: 0,
+      netWorkingHours: '0:00',
+      flags: '',
+      requiredHours,
+      shortfall: requiredHours,
+      overtime: '-',
+      adjustedHours: '0:00'
+    };
+  }
+
+  // Minutes since the shift cutoff of the log's team
+  shiftMinutes(log) {
+    return timeToShiftMinutes(log.time, getTeamSettings(log.team).shiftCutoff);
+  }
+
+  calculateDuration(startLog, endLog) {
+    if (!startLog || !endLog) {
       return 0;
     }
 
-    const startMinutes = timeToMinutes(startTime);
-    const endMinutes = timeToMinutes(endTime);
+    const startMinutes = this.shiftMinutes(startLog);
+    const endMinutes = this.shiftMinutes(endLog);
 
     if (endMinutes <= startMinutes) {
       return 0;
@@ -152,72 +573,154 @@ class AttendanceService {
     return endMinutes - startMinutes;
   }
 
-  calculateLunchDuration(userLogs) {
-    const lunchStart = userLogs.find(log => log[4] === KEYWORDS.LUNCH_START); // Column E (index 4)
-    const lunchEnd = userLogs.find(log => log[4] === KEYWORDS.LUNCH_END);
-
-    if (!lunchStart || !lunchEnd) {
-      return 0;
+  // Pair start / end keywords in shift order. A second start while one is open leaves
+  // the first unclosed; an end with nothing open is unmatched. With an auto-close policy,
+  // unclosed starts end after that many minutes (or at the next start / #daily-report).
+  collectIntervals(userLogs, startKeyword, endKeyword, autoCloseMinutes, reportLog) {
+    const intervals = [];
+    const unclosed = [];
+    const unmatchedEnds = [];
+    let open = null;
+
+    for (const log of userLogs) {
+      if (log.keyword === startKeyword) {
+        if (open) {
+          unclosed.push(open);
+        }
+        open = log;
+      } else if (log.keyword === endKeyword) {
+        if (open) {
+          intervals.push({ start: this.shiftMinutes(open), end: this.shiftMinutes(log), startTime: open.time, endTime: log.time });
+          open = null;
+        } else {
+          unmatchedEnds.push(log);
+        }
+      }
+    }
+    if (open) {
+      unclosed.push(open);
     }
 
-    const startMinutes = timeToMinutes(lunchStart[1]); // Column B (index 1) is Time
-    const endMinutes = timeToMinutes(lunchEnd[1]);
+    let autoClosed = 0;
+    if (autoCloseMinutes > 0) {
+      const starts = userLogs.filter(log => log.keyword === startKeyword).map(log => this.shiftMinutes(log));
+      const reportMinutes = reportLog ? this.shiftMinutes(reportLog) : null;
 
-    if (endMinutes > startMinutes) {
-      return endMinutes - startMinutes;
+      for (const log of unclosed) {
+        const start = this.shiftMinutes(log);
+        const limits = [start + autoCloseMinutes, ...starts.filter(minutes => minutes > start)];
+        if (reportMinutes !== null && reportMinutes > start) {
+          limits.push(reportMinutes);
+        }
+        intervals.push({ start, end: Math.min(...limits), startTime: log.time, endTime: 'auto', autoClosed: true });
+        autoClosed++;
+      }
+      intervals.sort((a, b) => a.start - b.start);
     }
 
-    return 0;
+    return { intervals, unclosed, unmatchedEnds, autoClosed };
   }
 
-  calculateBreakDuration(userLogs) {
-    // Get all break start and end events sorted by time
-    const breakStarts = userLogs
-      .filter(log => log[4] === KEYWORDS.BREAK_START) // Column E (index 4) is Keyword
-      .map(log => ({ time: log[1], minutes: timeToMinutes(log[1]) })) // Column B (index 1) is Time
-      .sort((a, b) => a.minutes - b.minutes);
-
-    const breakEnds = userLogs
-      .filter(log => log[4] === KEYWORDS.BREAK_END)
-      .map(log => ({ time: log[1], minutes: timeToMinutes(log[1]) }))
-      .sort((a, b) => a.minutes - b.minutes);
+  calculateLunchDuration(lunch) {
+    return lunch.intervals.reduce((total, interval) => total + (interval.end - interval.start), 0);
+  }
 
+  calculateBreakDuration(breaks) {
     let totalBreakMinutes = 0;
-    const usedEnds = new Set();
-
-    // Match each break start with the next available break end
-    for (const start of breakStarts) {
-      for (let i = 0; i < breakEnds.length; i++) {
-        if (!usedEnds.has(i) && breakEnds[i].minutes > start.minutes) {
-          const breakTime = breakEnds[i].minutes - start.minutes;
-          totalBreakMinutes += breakTime;
-          usedEnds.add(i);
-          console.log(`   Break: ${start.time} → ${breakEnds[i].time} = ${breakTime} mins`);
-          break;
-        }
-      }
+
+    for (const interval of breaks.intervals) {
+      const breakTime = interval.end - interval.start;
+      totalBreakMinutes += breakTime;
     }
 
     return totalBreakMinutes;
   }
 
-  countBreaks(userLogs) {
-    const breakStarts = userLogs.filter(log => log[4] === KEYWORDS.BREAK_START); // Column E (index 4)
-    const breakEnds = userLogs.filter(log => log[4] === KEYWORDS.BREAK_END);
-    
-    // Return the minimum of starts and ends (completed breaks)
-    return Math.min(breakStarts.length, breakEnds.length);
+  // Anomalies that make a day's numbers suspect
+  detectAnomalies(userLogs, lunch, breaks) {
+    const flags = [];
+
+    if (breaks.unclosed.length > 0) {
+      flags.push(breaks.autoClosed > 0 ? 'unclosed-break (auto-closed)' : 'unclosed-break');
+    }
+    if (breaks.unmatchedEnds.length > 0) {
+      flags.push('break-end-without-start');
+    }
+    if (lunch.unclosed.length > 0) {
+      flags.push(lunch.autoClosed > 0 ? 'lunch-without-end (auto-closed)' : 'lunch-without-end');
+    }
+    if (lunch.unmatchedEnds.length > 0) {
+      flags.push('lunch-end-without-start');
+    }
+    if (userLogs.filter(log => log.keyword === KEYWORDS.LUNCH_START).length > 1) {
+      flags.push('multiple-lunches');
+    }
+
+    const overlapsLunch = breaks.intervals.some(breakInterval => lunch.intervals.some(lunchInterval =>
+      breakInterval.start < lunchInterval.end && lunchInterval.start < breakInterval.end));
+    if (overlapsLunch) {
+      flags.push('break-overlaps-lunch');
+    }
+
+    // Lunch, breaks and other keywords belong between #daily-task and #daily-report
+    const presenceKeywords = [KEYWORDS.ENTRY, KEYWORDS.EXIT, KEYWORDS.DAILY_TASK, KEYWORDS.DAILY_REPORT, ...STATUS_KEYWORDS];
+    const workEvents = userLogs.filter(log => !presenceKeywords.includes(log.keyword));
+    const taskStartLog = userLogs.find(log => log.keyword === KEYWORDS.DAILY_TASK);
+    const reportLogs = userLogs.filter(log => log.keyword === KEYWORDS.DAILY_REPORT);
+    const reportLog = reportLogs[reportLogs.length - 1];
+
+    if (taskStartLog && workEvents.some(log => this.shiftMinutes(log) < this.shiftMinutes(taskStartLog))) {
+      flags.push('event-before-task');
+    }
+    if (reportLog && workEvents.some(log => this.shiftMinutes(log) > this.shiftMinutes(reportLog))) {
+      flags.push('event-after-report');
+    }
+
+    const hasEntry = userLogs.some(log => log.keyword === KEYWORDS.ENTRY);
+    if (!hasEntry && userLogs.some(log => log.keyword === KEYWORDS.EXIT)) {
+      flags.push('exit-without-entry');
+    }
+
+    return flags;
+  }
+
+  // Team work policy (config/teams.json):
+  //   minimumLunchMinutes  - deducted on worked days even if less (or no) lunch was posted
+  //   roundingMinutes / roundingMode - round adjusted hours, e.g. to 15-minute increments
+  //   requiredHours        - shortfall below it
+  //   overtimeAfterHours   - overtime beyond it
+  // Shortfall and overtime are only known once the day has #daily-task and #daily-report.
+  applyPolicy(settings, { grossWorkingTime, lunchDuration, breakDuration, dayComplete }) {
+    const lunchDeduction = grossWorkingTime > 0
+      ? Math.max(lunchDuration, settings.minimumLunchMinutes || 0)
+      : lunchDuration;
+    const adjusted = Math.max(0, grossWorkingTime - lunchDeduction - breakDuration);
+    const adjustedMinutes = roundMinutes(adjusted, settings.roundingMinutes, settings.roundingMode);
+
+    const requiredMinutes = settings.requiredHours ? settings.requiredHours * 60 : null;
+    const overtimeAfterMinutes = settings.overtimeAfterHours ? settings.overtimeAfterHours * 60 : null;
+
+    return {
+      adjustedMinutes,
+      requiredMinutes,
+      shortfall: requiredMinutes !== null && dayComplete ? Math.max(0, requiredMinutes - adjustedMinutes) : null,
+      overtime: overtimeAfterMinutes !== null && dayComplete ? Math.max(0, adjustedMinutes - overtimeAfterMinutes) : null
+    };
   }
 
   formatDuration(minutes) {
-    if (minutes === 0 || isNaN(minutes)) {
+    if (!minutes || isNaN(minutes)) {
       return '0:00';
     }
 
-    const hours = Math.floor(minutes / 60);
-    const mins = Math.round(minutes % 60);
+    // Round to whole minutes first, so 119.6 becomes 2:00 rather than 1:60
+    const totalMinutes = Math.round(minutes);
+    const hours = Math.floor(totalMinutes / 60);
+    const mins = totalMinutes % 60;
     return `${hours}:${mins.toString().padStart(2, '0')}`;
   }
 }
 
+AttendanceService.PRESENCE = PRESENCE;
+
 module.exports = AttendanceService;
@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const { ALL_KEYWORDS } = require('../utils/helpers');
+const { getTeam, resolveTimezone } = require('../utils/teams');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'corrections' });
+
+const CORRECTION_TYPES = {
+  add: 'Add a missing event',
+  void: 'Remove an event',
+  retime: 'Change an event\'s time'
+};
+
+// Modal callback and button action IDs, handled by the /slack/interactions route
+const REQUEST_VIEW = 'correction_request';
+const APPROVE_ACTION = 'correction_approve';
+const REJECT_ACTION = 'correction_reject';
+
+/**
+ * Employee-requested corrections (add, void or retime an event), approved or
+ * rejected by the team's `approvers` through Slack.
+ * Every state change is a new row in the corrections audit log; raw_logs is never
+ * touched. AttendanceService overlays approved corrections when it recomputes.
+ */
+class CorrectionService {
+  constructor(storage, attendanceService, slackClient, roster, directory) {
+    this.storage = storage;
+    this.attendanceService = attendanceService;
+    this.slackClient = slackClient;
+    this.directory = directory;
+    this.roster = roster;
+    this.decisions = Promise.resolve();
+  }
+
+  // Request form for one of the employee's days (from the day summary DM or /attendance correct)
+  async openRequestForm(triggerId, { userId, date, team }) {
+    const events = await this.attendanceService.getUserEvents(date, userId, team.name);
+    const option = (text, value) => ({ text: { type: 'plain_text', text }, value });
+    const optional = (blockId, label, element) => ({
+      type: 'input', block_id: blockId, optional: true, label: { type: 'plain_text', text: label }, element
+    });
+
+    const blocks = [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `Corrections for *${date}* (${team.name}) are sent to your team's approvers.` }
+      },
+      {
+        type: 'input',
+        block_id: 'type',
+        label: { type: 'plain_text', text: 'What should change?' },
+        element: {
+          type: 'static_select',
+          action_id: 'value',
+          options: Object.entries(CORRECTION_TYPES).map(([value, text]) => option(text, value))
+        }
+      }
+    ];
+
+    // Slack rejects a select without options
+    if (events.length > 0) {
+      blocks.push(optional('event', 'Event (to remove or retime)', {
+        type: 'static_select',
+        action_id: 'value',
+        options: events.map(event => option(`${event.time} ${event.keyword}`, `${event.slackTs}|${event.keyword}`))
+      }));
+    }
+
+    blocks.push(
+      optional('keyword', 'Keyword (to add)', {
+        type: 'static_select',
+        action_id: 'value',
+        options: ALL_KEYWORDS.map(keyword => option(keyword, keyword))
+      }),
+      optional('time', 'Time (to add or retime)', { type: 'timepicker', action_id: 'value' }),
+      {
+        type: 'input',
+        block_id: 'reason',
+        label: { type: 'plain_text', text: 'Reason' },
+        element: { type: 'plain_text_input', action_id: 'value', multiline: true }
+      }
+    );
+
+    await this.slackClient.views.open({
+      trigger_id: triggerId,
+      view: {
+        type: 'modal',
+        callback_id: REQUEST_VIEW,
+        private_metadata: JSON.stringify({ date, team: team.name }),
+        title: { type: 'plain_text', text: 'Request a correction' },
+        submit: { type: 'plain_text', text: 'Send for approval' },
+        close: { type: 'plain_text', text: 'Cancel' },
+        blocks
+      }
+    });
+  }
+
+  // Validate a submitted request form without any I/O, so the modal is answered within
+  // Slack's 3 seconds. Returns { errors } to keep the modal open, or { submission } to record.
+  parseSubmission(payload) {
+    const { date, team: teamName } = JSON.parse(payload.view.private_metadata);
+    const team = getTeam(teamName);
+    const values = payload.view.state.values;
+    const selected = blockId => {
+      const element = values[blockId] && values[blockId].value;
+      if (!element) {
+        return null;
+      }
+      return element.selected_option ? element.selected_option.value : (element.selected_time || element.value || null);
+    };
+
+    const type = selected('type');
+    const target = selected('event');
+    const keyword = selected('keyword');
+    const time = selected('time');
+    const errors = {};
+
+    if (!team || !team.approvers || team.approvers.length === 0) {
+      errors.type = 'Your team has no approvers configured - please contact your manager directly.';
+    }
+    if (type === 'add' && !keyword) {
+      errors.keyword = 'Choose the keyword to add.';
+    }
+    if ((type === 'void' || type === 'retime') && !target) {
+      errors[values.event ? 'event' : 'type'] = 'Choose the event to change.';
+    }
+    if ((type === 'add' || type === 'retime') && !time) {
+      errors.time = 'Choose the time.';
+    }
+    if (Object.keys(errors).length > 0) {
+      return { errors };
+    }
+
+    return {
+      submission: {
+        id: crypto.randomUUID(), date, userId: payload.user.id, team: team.name, type, target, keyword, time, reason: selected('reason')
+      }
+    };
+  }
+
+  // Record a validated submission and notify the approvers (run from the job queue)
+  async submit({ id, date, userId, team: teamName, type, target, keyword, time, reason }) {
+    const team = getTeam(teamName);
+    const slackUser = await this.directory.getUser(userId);
+    const [targetTs, targetKeyword] = target && type !== 'add' ? target.split('|') : [null, null];
+    const targetEvent = targetTs && (await this.attendanceService.getUserEvents(date, userId, team.name))
+      .find(event => event.slackTs === targetTs && event.keyword === targetKeyword);
+
+    return this.request({
+      id,
+      date,
+      userId,
+      employeeName: slackUser.real_name || slackUser.name,
+      team: team.name,
+      type,
+      keyword: type === 'add' ? keyword : targetKeyword,
+      time: time ? moment(time, ['HH:mm', 'HH:mm:ss']).format('HH:mm:ss') : null,
+      timezone: resolveTimezone(team, slackUser.tz),
+      targetTs,
+      originalTime: targetEvent ? targetEvent.time : null,
+      reason
+    });
+  }
+
+  // The id comes with the queued submission, so a retried job neither records the request nor notifies twice
+  async request(fields) {
+    const { id } = fields;
+    const correction = {
+      ...fields,
+      status: 'requested',
+      actor: fields.userId,
+      recordedAt: new Date().toISOString()
+    };
+
+    // Stored by an earlier attempt, which also notified the approvers
+    const recorded = (await this.storage.getCorrections(correction.date, correction.date)).find(entry => entry.id === id);
+    if (recorded) {
+      log.info('Correction already requested', { correctionId: id });
+      return recorded;
+    }
+
+    await this.storage.appendCorrection(correction);
+    log.info('Correction requested', { correctionId: id, userId: correction.userId, date: correction.date, type: correction.type });
+
+    await this.notifyApprovers(correction, getTeam(correction.team));
+    return correction;
+  }
+
+  // Post the request with Approve / Reject buttons to the team's managerChannel, or DM each approver
+  async notifyApprovers(correction, team) {
+    const message = {
+      text: `Correction request from ${correction.employeeName}: ${this.describe(correction)}`,
+      blocks: this.buildRequestBlocks(correction, true)
+    };
+
+    const managerChannel = team.managerChannel && await this.roster.resolveChannelId(team.managerChannel);
+    const channels = managerChannel ? [managerChannel] : team.approvers;
+
+    for (const channel of channels) {
+      try {
+        await this.slackClient.chat.postMessage({ channel, ...message });
+      } catch (error) {
+        log.error('Error sending correction request', { correctionId: correction.id, channel, error });
+      }
+    }
+  }
+
+  buildRequestBlocks(correction, withButtons) {
+    const value = JSON.stringify({ id: correction.id, date: correction.date });
+    const blocks = [{
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*Correction request* – <@${correction.userId}> – ${correction.date} (${correction.team})\n` +
+          `${this.describe(correction)}\n>${(correction.reason || '-').split('\n').join('\n>')}`
+      }
+    }];
+
+    if (withButtons) {
+      blocks.push({
+        type: 'actions',
+        elements: [
+          { type: 'button', action_id: APPROVE_ACTION, style: 'primary', text: { type: 'plain_text', text: 'Approve' }, value },
+          { type: 'button', action_id: REJECT_ACTION, style: 'danger', text: { type: 'plain_text', text: 'Reject' }, value }
+        ]
+      });
+    }
+
+    return blocks;
+  }
+
+  describe(correction) {
+    switch (correction.type) {
+      case 'add':
+        return `add ${correction.keyword} at ${correction.time}`;
+      case 'void':
+        return `remove ${correction.keyword} at ${correction.originalTime}`;
+      case 'retime':
+        return `move ${correction.keyword} from ${correction.originalTime} to ${correction.time}`;
+      default:
+        return correction.type;
+    }
+  }
+
+  // Latest audit row of a correction
+  async getCorrection(id, date) {
+    const entries = (await this.storage.getCorrections(date, date)).filter(entry => entry.id === id);
+    return entries.length > 0 ? entries[entries.length - 1] : null;
+  }
+
+  // Approve or reject as approverId. Returns { correction } or { error } for the approver.
+  // Decisions run one at a time, so two approvers clicking at once cannot both decide.
+  decide(id, date, approverId, approved) {
+    const run = this.decisions.catch(() => {}).then(() => this.recordDecision(id, date, approverId, approved));
+    this.decisions = run;
+    return run;
+  }
+
+  async recordDecision(id, date, approverId, approved) {
+    const current = await this.getCorrection(id, date);
+    if (!current) {
+      return { error: 'This correction no longer exists.' };
+    }
+
+    const team = getTeam(current.team);
+    if (!team || !(team.approvers || []).includes(approverId)) {
+      return { error: `Only the approvers of ${current.team} can decide on corrections.` };
+    }
+    if (approverId === current.userId) {
+      return { error: 'You cannot approve or reject your own correction.' };
+    }
+    if (current.status !== 'requested') {
+      return { error: `Already ${current.status} by <@${current.actor}>.` };
+    }
+
+    const correction = {
+      ...current,
+      status: approved ? 'approved' : 'rejected',
+      actor: approverId,
+      recordedAt: new Date().toISOString()
+    };
+    await this.storage.appendCorrection(correction);
+    log.info('Correction decided', { correctionId: id, status: correction.status, approverId });
+
+    let summary = null;
+    if (approved) {
+      summary = await this.attendanceService.updateDailySummary(correction.date, correction.userId, correction.team);
+    }
+
+    try {
+      await this.slackClient.chat.postMessage({
+        channel: correction.userId,
+        text: `Your correction for ${correction.date} (${this.describe(correction)}) was ${correction.status} by <@${approverId}>.` +
+          (summary ? ` Net working hours are now ${summary.netWorkingHours}.` : '')
+      });
+    } catch (error) {
+      log.error('Error notifying correction requester', { correctionId: id, userId: correction.userId, error });
+    }
+
+    return { correction };
+  }
+}
+
+CorrectionService.REQUEST_VIEW = REQUEST_VIEW;
+CorrectionService.APPROVE_ACTION = APPROVE_ACTION;
+CorrectionService.REJECT_ACTION = REJECT_ACTION;
+
+module.exports = CorrectionService;
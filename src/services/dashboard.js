@@ -0,0 +1,93 @@
+const { durationToMinutes, getCurrentWorkDate } = require('../utils/helpers');
+const { getTeams } = require('../utils/teams');
+const { STATUSES } = require('../utils/calendar');
+
+/**
+ * Read-only views for the web dashboard: today's board, per-employee
+ * heatmaps and team trends. Everything is computed from the same presence
+ * and daily_summary rows as Slack, the sheets and the roll-ups.
+ */
+class DashboardService {
+  constructor(storage, rollupService, presenceService) {
+    this.storage = storage;
+    this.rollupService = rollupService;
+    this.presenceService = presenceService;
+  }
+
+  getTeams() {
+    return getTeams().map(team => ({
+      name: team.name,
+      timezone: team.timezone,
+      today: getCurrentWorkDate(team.shiftCutoff, team.timezone)
+    }));
+  }
+
+  // Who is working, on lunch, on a break or gone (AttendanceService presence)
+  async getBoard(teamName) {
+    return this.presenceService.getTeamPresence(teamName);
+  }
+
+  // Employees with summaries in the range, for the heatmap picker
+  async getEmployees(teamName, from, to) {
+    const employees = new Map();
+    (await this.getSummaries(teamName, from, to)).forEach(summary => {
+      employees.set(summary.userId, { userId: summary.userId, employeeName: summary.employeeName });
+    });
+    return [...employees.values()].sort((a, b) => a.employeeName.localeCompare(b.employeeName));
+  }
+
+  // Net hours per day of one employee
+  async getHeatmap(teamName, userId, from, to) {
+    const days = (await this.getSummaries(teamName, from, to))
+      .filter(summary => summary.userId === userId)
+      .map(summary => ({
+        date: summary.date,
+        netHours: this.toHours(summary.netWorkingHours),
+        netWorkingHours: summary.netWorkingHours,
+        status: summary.status,
+        flags: summary.flags
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    return { userId, from, to, days };
+  }
+
+  // Per day: people present and late, average and total net hours
+  async getTrends(teamName, from, to) {
+    const byDate = new Map();
+    for (const summary of await this.getSummaries(teamName, from, to)) {
+      if (!byDate.has(summary.date)) {
+        byDate.set(summary.date, []);
+      }
+      byDate.get(summary.date).push(summary);
+    }
+
+    const days = [...byDate.keys()].sort().map(date => {
+      const present = byDate.get(date).filter(summary => this.rollupService.isPresent(summary));
+      const totalMinutes = present.reduce((total, summary) => total + durationToMinutes(summary.netWorkingHours), 0);
+
+      return {
+        date,
+        present: present.length,
+        late: present.filter(summary => summary.status !== STATUSES.HALF_DAY && this.rollupService.isLate(summary)).length,
+        absent: byDate.get(date).filter(summary => summary.status === STATUSES.ABSENT).length,
+        averageNetHours: present.length > 0 ? this.toHours(totalMinutes / present.length) : 0,
+        totalNetHours: this.toHours(totalMinutes)
+      };
+    });
+
+    return { team: teamName, from, to, days };
+  }
+
+  async getSummaries(teamName, from, to) {
+    return (await this.storage.getDailySummaries(from, to)).filter(summary => summary.team === teamName);
+  }
+
+  // "7:45" or minutes → 7.75
+  toHours(value) {
+    const minutes = typeof value === 'number' ? value : durationToMinutes(value);
+    return Math.round(minutes / 60 * 100) / 100;
+  }
+}
+
+module.exports = DashboardService;
@@ -0,0 +1,98 @@
+const moment = require('moment-timezone');
+const { getCurrentWorkDate } = require('../utils/helpers');
+const { getTeams } = require('../utils/teams');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'day-status' });
+
+const REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Explicit daily_summary rows for team members who posted nothing on a day,
+ * so leave, absence, holidays and weekends can be told apart.
+ * People with events get their status from AttendanceService when their summary
+ * is computed; everyone else gets an Absent / Holiday / Weekend row here.
+ * The previous work day of every team is filled hourly; any range can be
+ * filled on demand through the admin API or `npm run recompute`.
+ */
+class DayStatusService {
+  constructor(roster, attendanceService, storage) {
+    this.roster = roster;
+    this.attendanceService = attendanceService;
+    this.storage = storage;
+    this.timer = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => {
+      this.fillPreviousDay().catch(error => log.error('Error writing status rows', { error }));
+    }, REFRESH_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Today may still be in progress, so only finished work days get Absent rows
+  async fillPreviousDay() {
+    const rows = [];
+    for (const team of getTeams()) {
+      const today = getCurrentWorkDate(team.shiftCutoff, team.timezone);
+      const yesterday = moment(today, 'YYYY-MM-DD').subtract(1, 'day').format('YYYY-MM-DD');
+      rows.push(...await this.statusRows(yesterday, team));
+    }
+    return this.write(rows);
+  }
+
+  async fillRange(from, to) {
+    const rows = [];
+    for (const team of getTeams()) {
+      const day = moment(from, 'YYYY-MM-DD');
+      while (day.format('YYYY-MM-DD') <= to) {
+        rows.push(...await this.statusRows(day.format('YYYY-MM-DD'), team));
+        day.add(1, 'day');
+      }
+    }
+    return this.write(rows);
+  }
+
+  // A status row for every member with no effective events in this team on the date
+  async statusRows(date, team) {
+    const members = await this.roster.getMembers(team);
+    const events = await this.attendanceService.getDayEvents(date);
+    const posted = new Set(events.filter(event => event.team === team.name).map(event => event.userId));
+    const existing = new Map((await this.storage.getDailySummaries(date, date))
+      .filter(summary => summary.team === team.name)
+      .map(summary => [summary.userId, summary]));
+
+    const rows = [];
+    for (const member of members) {
+      if (posted.has(member.userId)) {
+        continue;
+      }
+
+      // Hourly refreshes only write what changed (e.g. a voided #leave)
+      const summary = this.attendanceService.buildStatusSummary(date, member, team.name);
+      const current = existing.get(member.userId);
+      if (current && current.status === summary.status && current.employeeName === summary.employeeName) {
+        continue;
+      }
+
+      rows.push(summary);
+    }
+    return rows;
+  }
+
+  // All rows in one storage write, however many days and teams they cover
+  async write(rows) {
+    if (rows.length > 0) {
+      await this.storage.upsertDailySummaries(rows);
+      log.info('Wrote status rows', { rows: rows.length });
+    }
+    return rows.length;
+  }
+}
+
+module.exports = DayStatusService;
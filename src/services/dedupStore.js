@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'dedup-store' });
+
+const DEFAULT_TTL_HOURS = 24 * 7;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Durable dedup store: one marker file per key.
+ * Creating the marker with the 'wx' flag is atomic, so several processes
+ * (or replicas sharing the directory) can never claim the same key twice.
+ */
+class FileDedupStore {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.DEDUP_DIR || path.join(process.cwd(), 'data', 'dedup');
+    this.ttlMs = (options.ttlHours || parseFloat(process.env.DEDUP_TTL_HOURS) || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+    this.cleanupTimer = null;
+  }
+
+  async initialize() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await this.cleanup();
+
+    this.cleanupTimer = setInterval(() => {
+      this.cleanup().catch(error => log.error('Error cleaning dedup store', { error }));
+    }, CLEANUP_INTERVAL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  keyPath(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.dir, hash);
+  }
+
+  // Returns true if the key was claimed now, false if it was already processed
+  async claim(key) {
+    const file = this.keyPath(key);
+
+    try {
+      const handle = await fs.promises.open(file, 'wx');
+      await handle.writeFile(key);
+      await handle.close();
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    // Marker exists - honour it unless it has outlived the TTL
+    const stats = await fs.promises.stat(file);
+    if (Date.now() - stats.mtimeMs <= this.ttlMs) {
+      return false;
+    }
+
+    await this.release(key);
+    return this.claim(key);
+  }
+
+  // Forget a key, e.g. when writing the event failed and it should be retried
+  async release(key) {
+    try {
+      await fs.promises.unlink(this.keyPath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  async cleanup() {
+    const files = await fs.promises.readdir(this.dir);
+    const cutoff = Date.now() - this.ttlMs;
+    let removed = 0;
+
+    for (const file of files) {
+      const filePath = path.join(this.dir, file);
+      try {
+        const stats = await fs.promises.stat(filePath);
+        if (stats.mtimeMs < cutoff) {
+          await fs.promises.unlink(filePath);
+          removed++;
+        }
+      } catch (error) {
+        // Another instance may have removed it already
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    if (removed > 0) {
+      log.info('Removed expired dedup entries', { removed });
+    }
+  }
+}
+
+/**
+ * In-memory dedup store (single process only, lost on restart)
+ */
+class MemoryDedupStore {
+  constructor(options = {}) {
+    this.ttlMs = (options.ttlHours || parseFloat(process.env.DEDUP_TTL_HOURS) || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+    this.entries = new Map();
+  }
+
+  async initialize() {}
+
+  async claim(key) {
+    const expiresAt = this.entries.get(key);
+    if (expiresAt && expiresAt > Date.now()) {
+      return false;
+    }
+
+    this.entries.set(key, Date.now() + this.ttlMs);
+    return true;
+  }
+
+  async release(key) {
+    this.entries.delete(key);
+  }
+
+  async cleanup() {
+    const now = Date.now();
+    for (const [key, expiresAt] of this.entries) {
+      if (expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+function createDedupStore() {
+  const backend = process.env.DEDUP_STORE || 'file';
+
+  switch (backend) {
+    case 'file':
+      return new FileDedupStore();
+    case 'memory':
+      return new MemoryDedupStore();
+    default:
+      throw new Error(`Unknown DEDUP_STORE backend: ${backend}`);
+  }
+}
+
+module.exports = {
+  FileDedupStore,
+  MemoryDedupStore,
+  createDedupStore
+};
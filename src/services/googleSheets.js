@@ -1,10 +1,106 @@
 const { google } = require('googleapis');
+const {
+  RAW_LOG_COLUMNS, DAILY_SUMMARY_COLUMNS, ROLLUP_COLUMNS, CORRECTION_COLUMNS, summaryKey
+} = require('./storage');
+const { logger } = require('../utils/logger');
+const { metrics } = require('../utils/metrics');
 
+const log = logger.child({ component: 'google-sheets' });
+
+// Convert a 1-based column number to its sheet letter (1 -> A, 27 -> AA)
+function columnLetter(number) {
+  let letter = '';
+  while (number > 0) {
+    const remainder = (number - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    number = Math.floor((number - 1) / 26);
+  }
+  return letter;
+}
+
+function recordToRow(record, columns) {
+  return columns.map(column => {
+    const value = record[column.key];
+    return value === undefined || value === null || value === '' ? column.empty : value;
+  });
+}
+
+function rowToRecord(row, columns) {
+  const record = {};
+  columns.forEach((column, index) => {
+    record[column.key] = row[index] !== undefined ? row[index] : column.empty;
+  });
+  return record;
+}
+
+// { date, userId, team } of every event added, removed or edited between two per-date event maps
+function changedEventKeys(before, after) {
+  const changed = new Map();
+  const dates = new Set([...before.keys(), ...after.keys()]);
+
+  for (const date of dates) {
+    const counts = new Map();
+    const remember = (event, step) => {
+      const signature = JSON.stringify(event);
+      const entry = counts.get(signature) || { event, count: 0 };
+      entry.count += step;
+      counts.set(signature, entry);
+    };
+    (before.get(date) || []).forEach(event => remember(event, -1));
+    (after.get(date) || []).forEach(event => remember(event, 1));
+
+    for (const { event, count } of counts.values()) {
+      // Rows from before user IDs were recorded have no summary of their own
+      if (count !== 0 && event.userId !== '-') {
+        const key = { date: event.date, userId: event.userId, team: event.team };
+        changed.set(summaryKey(key), key);
+      }
+    }
+  }
+
+  return [...changed.values()];
+}
+
+const RAW_LOGS_LAST_COLUMN = columnLetter(RAW_LOG_COLUMNS.length);
+const SUMMARY_LAST_COLUMN = columnLetter(DAILY_SUMMARY_COLUMNS.length);
+const ROLLUP_LAST_COLUMN = columnLetter(ROLLUP_COLUMNS.length);
+const CORRECTIONS_LAST_COLUMN = columnLetter(CORRECTION_COLUMNS.length);
+// Columns of a summary row's identity (date, user, team), for re-finding rows
+const SUMMARY_KEY_COLUMNS = ['date', 'userId', 'team']
+  .map(key => columnLetter(DAILY_SUMMARY_COLUMNS.findIndex(column => column.key === key) + 1));
+
+const DEFAULT_FLUSH_DELAY_MS = 500;
+const FLUSH_RETRY_DELAY_MS = 5000;
+const MAX_FLUSH_RETRY_DELAY_MS = 5 * 60 * 1000;
+const DEFAULT_RECONCILE_MINUTES = 15;
+
+/**
+ * Google Sheets storage backend.
+ * raw_logs, daily_summary and corrections are read once and then served from memory
+ * (events grouped per work day, summaries indexed by summary key → sheet row),
+ * so the cost of an event does not grow with the size of the sheets.
+ * Summary writes are batched; a periodic reconciliation re-reads them.
+ */
 class GoogleSheetsService {
   constructor() {
     this.sheets = null;
     this.spreadsheetId = process.env.GOOGLE_SHEETS_ID;
-    this.processedEvents = new Set(); // For deduplication
+    this.flushDelayMs = parseInt(process.env.SHEETS_FLUSH_MS, 10) || DEFAULT_FLUSH_DELAY_MS;
+    this.reconcileIntervalMs = (parseFloat(process.env.SHEETS_RECONCILE_MINUTES) || DEFAULT_RECONCILE_MINUTES) * 60 * 1000;
+    this.chain = Promise.resolve();
+    this.loaded = null;
+    this.reconcileTimer = null;
+    this.eventsByDate = new Map();
+    this.eventCount = 0;
+    this.summaries = new Map();
+    this.summaryRows = new Map();
+    this.corrections = [];
+    this.pendingSummaries = new Map();
+    this.pendingFlush = null;
+    this.flushRetryDelayMs = FLUSH_RETRY_DELAY_MS;
+    this.flushFailures = 0;
+    this.retryTimer = null;
+    this.eventListeners = [];
   }
 
   async initialize() {
@@ -20,9 +116,28 @@ class GoogleSheetsService {
     this.sheets = google.sheets({ version: 'v4', auth: authClient });
   }
 
-  async ensureSheetsExist() {
+  // Every Sheets API call goes through here, timed and counted per operation ('values.append'...)
+  async call(operation, params) {
+    const path = operation.split('.');
+    const method = path.pop();
+    const api = path.reduce((target, name) => target[name], this.sheets.spreadsheets);
+
+    try {
+      return await metrics.storageLatency.time({ operation }, () => api[method](params));
+    } catch (error) {
+      metrics.storageErrors.inc({ operation });
+      throw error;
+    }
+  }
+
+  // Cheap read of the spreadsheet title, for GET /health
+  async checkHealth() {
+    await this.call('get', { spreadsheetId: this.spreadsheetId, fields: 'properties.title' });
+  }
+
+  async ensureSchema() {
     try {
-      const spreadsheet = await this.sheets.spreadsheets.get({
+      const spreadsheet = await this.call('get', {
         spreadsheetId: this.spreadsheetId,
       });
 
@@ -31,34 +146,34 @@ class GoogleSheetsService {
       const requiredSheets = [
         { 
           name: 'raw_logs', 
-          headers: ['Date', 'Time', 'Employee Name', 'Channel Name', 'Keyword'],
-          range: 'A1:E1',
+          headers: RAW_LOG_COLUMNS.map(column => column.header),
+          range: `A1:${RAW_LOGS_LAST_COLUMN}1`,
           clearRange: 'A1:Z1' // Clear entire header row to remove old columns
         },
         { 
           name: 'daily_summary', 
-          headers: [
-            'Date',              // A
-            'Employee Name',     // B
-            'Entry Time',        // C - #entry
-            'Exit Time',         // D - #exit
-            'Total Hours',       // E - #exit - #entry (office presence)
-            'Task Start',        // F - #daily-task
-            'Task End',          // G - #daily-report
-            'Lunch Duration',    // H - #lunchstart to #lunchend
-            'Break Duration',    // I - Sum of all breaks
-            'Break Count',       // J - Number of breaks
-            'Net Working Hours'  // K - (Task End - Task Start) - Lunch - Breaks
-          ],
-          range: 'A1:K1',
+          headers: DAILY_SUMMARY_COLUMNS.map(column => column.header),
+          range: `A1:${SUMMARY_LAST_COLUMN}1`,
           clearRange: 'A1:Z1' // Clear entire header row to remove duplicate columns
+        },
+        ...['weekly_summary', 'monthly_summary'].map(name => ({
+          name,
+          headers: ROLLUP_COLUMNS.map(column => column.header),
+          range: `A1:${ROLLUP_LAST_COLUMN}1`,
+          clearRange: 'A1:Z1'
+        })),
+        {
+          name: 'corrections',
+          headers: CORRECTION_COLUMNS.map(column => column.header),
+          range: `A1:${CORRECTIONS_LAST_COLUMN}1`,
+          clearRange: 'A1:Z1'
         }
       ];
 
       for (const sheet of requiredSheets) {
         if (!existingSheets.includes(sheet.name)) {
           // Create the sheet
-          await this.sheets.spreadsheets.batchUpdate({
+          await this.call('batchUpdate', {
             spreadsheetId: this.spreadsheetId,
             resource: {
               requests: [{
@@ -70,7 +185,7 @@ class GoogleSheetsService {
           });
 
           // Add headers
-          await this.sheets.spreadsheets.values.update({
+          await this.call('values.update', {
             spreadsheetId: this.spreadsheetId,
             range: `${sheet.name}!${sheet.range}`,
             valueInputOption: 'RAW',
@@ -79,16 +194,16 @@ class GoogleSheetsService {
             }
           });
 
-          console.log(`Created sheet: ${sheet.name} with headers`);
+          log.info('Created sheet with headers', { sheet: sheet.name });
         } else {
           // Clear old headers completely (including any extra columns)
-          await this.sheets.spreadsheets.values.clear({
+          await this.call('values.clear', {
             spreadsheetId: this.spreadsheetId,
             range: `${sheet.name}!${sheet.clearRange}`
           });
 
           // Write correct headers
-          await this.sheets.spreadsheets.values.update({
+          await this.call('values.update', {
             spreadsheetId: this.spreadsheetId,
             range: `${sheet.name}!${sheet.range}`,
             valueInputOption: 'RAW',
@@ -97,156 +212,495 @@ class GoogleSheetsService {
             }
           });
 
-          console.log(`✅ Updated headers for sheet: ${sheet.name}`);
+          log.info('Updated sheet headers', { sheet: sheet.name });
         }
       }
     } catch (error) {
-      console.error('Error ensuring sheets exist:', error);
+      log.error('Error ensuring sheets exist', { error });
       throw error;
     }
   }
 
-  // Check if event already processed (deduplication)
-  isEventProcessed(slackTs, keyword) {
-    const eventKey = `${slackTs}-${keyword}`;
-    if (this.processedEvents.has(eventKey)) {
-      return true;
-    }
-    this.processedEvents.add(eventKey);
-    
-    // Clean up old entries (keep last 10000)
-    if (this.processedEvents.size > 10000) {
-      const arr = Array.from(this.processedEvents);
-      this.processedEvents = new Set(arr.slice(-5000));
+  // Run cache-changing work one at a time, so a reconciliation never races an append or a flush
+  serialize(task) {
+    const run = this.chain.catch(() => {}).then(task);
+    this.chain = run;
+    return run;
+  }
+
+  // The first read or write loads the sheets; afterwards they are only re-read by reconcile()
+  ensureLoaded() {
+    if (!this.loaded) {
+      this.loaded = this.serialize(() => this.reload()).then(() => this.startReconciliation());
+      // A failed load is retried by the next caller
+      this.loaded.catch(() => { this.loaded = null; });
     }
-    
-    return false;
+    return this.loaded;
   }
 
-  async appendToRawLogs(data) {
-    const { date, time, employeeName, channelName, keyword } = data;
+  startReconciliation() {
+    if (this.reconcileTimer) {
+      return;
+    }
 
-    // Ensure data array matches headers exactly: Date, Time, Employee Name, Channel Name, Keyword
-    const rowData = [
-      date,          // A - Date
-      time,          // B - Time
-      employeeName,  // C - Employee Name
-      channelName,   // D - Channel Name
-      keyword        // E - Keyword
-    ];
+    this.reconcileTimer = setInterval(() => {
+      this.reconcile().catch(error => log.error('Error reconciling sheets cache', { error }));
+    }, this.reconcileIntervalMs);
+    this.reconcileTimer.unref();
+  }
 
-    await this.sheets.spreadsheets.values.append({
+  // Read raw_logs, daily_summary and corrections once and rebuild the per-day event cache,
+  // the summary row index and the corrections log
+  async reload() {
+    const response = await this.call('values.batchGet', {
       spreadsheetId: this.spreadsheetId,
-      range: 'raw_logs!A:E',
-      valueInputOption: 'RAW',
-      insertDataOption: 'INSERT_ROWS',
-      resource: {
-        values: [rowData]
+      ranges: [
+        `raw_logs!A:${RAW_LOGS_LAST_COLUMN}`,
+        `daily_summary!A:${SUMMARY_LAST_COLUMN}`,
+        `corrections!A:${CORRECTIONS_LAST_COLUMN}`
+      ]
+    });
+    const [eventRange, summaryRange, correctionRange] = response.data.valueRanges;
+
+    const eventsByDate = new Map();
+    let eventCount = 0;
+    (eventRange.values || []).slice(1).forEach(row => {
+      if (!row || row.length === 0) {
+        return;
+      }
+      const event = rowToRecord(row, RAW_LOG_COLUMNS);
+      if (!eventsByDate.has(event.date)) {
+        eventsByDate.set(event.date, []);
+      }
+      eventsByDate.get(event.date).push(event);
+      eventCount++;
+    });
+
+    const summaries = new Map();
+    const summaryRows = new Map();
+    (summaryRange.values || []).forEach((row, index) => {
+      if (index === 0 || !row || row.length === 0) {
+        return;
+      }
+      const summary = rowToRecord(row, DAILY_SUMMARY_COLUMNS);
+      const key = summaryKey(summary);
+      // The first row for a key is the one that gets updated
+      if (!summaryRows.has(key)) {
+        summaries.set(key, summary);
+        summaryRows.set(key, index + 1); // +1 because sheets are 1-indexed
       }
     });
+
+    // Summaries waiting for the next flush are newer than the sheet
+    for (const [key, summary] of this.pendingSummaries) {
+      summaries.set(key, summary);
+    }
+
+    this.eventsByDate = eventsByDate;
+    this.eventCount = eventCount;
+    this.summaries = summaries;
+    this.summaryRows = summaryRows;
+    this.corrections = (correctionRange.values || []).slice(1)
+      .filter(row => row && row.length > 0)
+      .map(row => rowToRecord(row, CORRECTION_COLUMNS));
+
+    log.info('Loaded sheets cache', { events: eventCount, summaries: summaries.size, corrections: this.corrections.length });
   }
 
-  async getDailyLogs(date) {
-    try {
-      const response = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: this.spreadsheetId,
-        range: 'raw_logs!A:E',
-      });
+  // Called with the { date, userId, team } whose events changed in a reconciliation
+  // (rows appended by another instance or edited by hand), to recompute their summaries
+  onEventsChanged(listener) {
+    this.eventListeners.push(listener);
+  }
 
-      const rows = response.data.values || [];
-      // Filter by date (skip header row)
-      // Column structure: A=Date, B=Time, C=Employee Name, D=Channel Name, E=Keyword
-      return rows.slice(1).filter(row => row && row[0] === date);
-    } catch (error) {
-      console.error('Error getting daily logs:', error);
-      return [];
-    }
-  }
-
-  async updateDailySummary(summaryData) {
-    const { 
-      date, 
-      employeeName, 
-      entryTime,        // #entry
-      exitTime,         // #exit
-      totalHours,       // #exit - #entry
-      taskStartTime,    // #daily-task
-      taskEndTime,      // #daily-report
-      lunchDuration, 
-      breakDuration, 
-      breakCount,
-      netWorkingHours   // (taskEnd - taskStart) - lunch - breaks
-    } = summaryData;
+  // Re-read the sheets to pick up manual edits, rows moved by hand or writes from other instances
+  async reconcile() {
+    await this.ensureLoaded();
 
-    try {
-      // Get existing summary data
-      const response = await this.sheets.spreadsheets.values.get({
+    const result = await this.serialize(async () => {
+      const previousEventCount = this.eventCount;
+      const previousEvents = this.eventsByDate;
+      const previousSummaries = this.summaries;
+      const previousRows = this.summaryRows;
+
+      await this.reload();
+
+      let drifted = 0;
+      for (const [key, summary] of this.summaries) {
+        if (previousRows.get(key) !== this.summaryRows.get(key) ||
+            JSON.stringify(summary) !== JSON.stringify(previousSummaries.get(key))) {
+          drifted++;
+        }
+      }
+
+      const changed = changedEventKeys(previousEvents, this.eventsByDate);
+
+      if (drifted > 0 || changed.length > 0 || previousEventCount !== this.eventCount) {
+        log.info('Reconciled sheets cache', {
+          newEvents: this.eventCount - previousEventCount, changedDays: changed.length, driftedSummaries: drifted
+        });
+      }
+
+      // Summaries whose last write failed
+      if (this.pendingSummaries.size > 0) {
+        await this.flushSummaries().catch(error => log.error('Error writing pending summaries', { error }));
+      }
+
+      return { events: this.eventCount, summaries: this.summaries.size, drifted, changed };
+    });
+
+    // Outside the serialized section: listeners write summaries through this service
+    for (const listener of this.eventListeners) {
+      await listener(result.changed);
+    }
+
+    return result;
+  }
+
+  async appendEvent(event) {
+    await this.ensureLoaded();
+
+    // Row data matches RAW_LOG_COLUMNS exactly
+    const rowData = recordToRow(event, RAW_LOG_COLUMNS);
+
+    await this.serialize(async () => {
+      await this.call('values.append', {
         spreadsheetId: this.spreadsheetId,
-        range: 'daily_summary!A:K',
+        range: `raw_logs!A:${RAW_LOGS_LAST_COLUMN}`,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        resource: {
+          values: [rowData]
+        }
       });
 
-      const rows = response.data.values || [];
-      
-      // Find if entry exists for this employee and date
-      // Column structure: A=Date, B=Employee Name, C=Entry Time, ...
-      let rowIndex = -1;
-      for (let i = 1; i < rows.length; i++) {
-        if (rows[i] && rows[i][0] === date && rows[i][1] === employeeName) {
-          rowIndex = i + 1; // +1 because sheets are 1-indexed
-          break;
-        }
+      // Cache what the sheet now holds (strings, blank fields as the column defaults)
+      const cached = rowToRecord(rowData.map(String), RAW_LOG_COLUMNS);
+      if (!this.eventsByDate.has(cached.date)) {
+        this.eventsByDate.set(cached.date, []);
       }
+      this.eventsByDate.get(cached.date).push(cached);
+      this.eventCount++;
+    });
+  }
 
-      // Row data matching headers exactly - 11 columns (A through K)
-      const rowData = [
-        date || '-',              // A - Date
-        employeeName || '-',      // B - Employee Name
-        entryTime || '-',         // C - Entry Time (#entry)
-        exitTime || '-',          // D - Exit Time (#exit)
-        totalHours || '0:00',     // E - Total Hours (#exit - #entry)
-        taskStartTime || '-',     // F - Task Start (#daily-task)
-        taskEndTime || '-',       // G - Task End (#daily-report)
-        lunchDuration || '0:00',  // H - Lunch Duration
-        breakDuration || '0:00',  // I - Break Duration (all breaks combined)
-        breakCount || 0,          // J - Number of breaks
-        netWorkingHours || '0:00' // K - Net Working Hours
-      ];
+  async getEvents(date) {
+    await this.ensureLoaded();
 
-      if (rowIndex > 0) {
-        // Update existing row - clear the entire row first to remove old misaligned data
-        await this.sheets.spreadsheets.values.clear({
-          spreadsheetId: this.spreadsheetId,
-          range: `daily_summary!A${rowIndex}:Z${rowIndex}`
+    return (this.eventsByDate.get(date) || []).map(event => ({ ...event }));
+  }
+
+  async getEventsBetween(from, to) {
+    await this.ensureLoaded();
+
+    const events = [];
+    for (const [date, dayEvents] of this.eventsByDate) {
+      if (date >= from && date <= to) {
+        dayEvents.forEach(event => events.push({ ...event }));
+      }
+    }
+    return events;
+  }
+
+  // The cache is updated right away; the sheet write joins a batch that is flushed
+  // shortly after, and the returned promise settles once that batch is written
+  async upsertDailySummary(summary) {
+    await this.ensureLoaded();
+
+    this.queueSummary(summary);
+    return this.scheduleFlush(this.flushDelayMs);
+  }
+
+  // Bulk form for backfills and recomputes: all rows go out in one batch, without the flush delay
+  async upsertDailySummaries(summaries) {
+    await this.ensureLoaded();
+
+    summaries.forEach(summary => this.queueSummary(summary));
+    await this.serialize(() => this.flushSummaries());
+  }
+
+  queueSummary(summary) {
+    const key = summaryKey(summary);
+    const cached = rowToRecord(recordToRow(summary, DAILY_SUMMARY_COLUMNS).map(String), DAILY_SUMMARY_COLUMNS);
+    this.summaries.set(key, cached);
+    this.pendingSummaries.set(key, cached);
+  }
+
+  // One timer at a time; summaries queued before it fires join its batch
+  scheduleFlush(delayMs) {
+    if (!this.pendingFlush) {
+      this.pendingFlush = new Promise(resolve => setTimeout(resolve, delayMs))
+        .then(() => {
+          this.pendingFlush = null;
+          return this.serialize(() => this.flushSummaries());
         });
+    }
 
-        // Then write correct data
-        await this.sheets.spreadsheets.values.update({
+    return this.pendingFlush;
+  }
+
+  // After a failed batch, flush again later even if nothing else is written meanwhile
+  scheduleRetry() {
+    if (this.retryTimer) {
+      return;
+    }
+
+    const delayMs = Math.min(this.flushRetryDelayMs * 2 ** this.flushFailures, MAX_FLUSH_RETRY_DELAY_MS);
+    this.flushFailures++;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.scheduleFlush(0).catch(() => {});
+    }, delayMs);
+    // A retry alone should not keep a CLI run alive
+    this.retryTimer.unref();
+    return delayMs;
+  }
+
+  // Write all pending summaries: known rows in one values.batchUpdate, new rows in one append.
+  // A batch that fails goes back to the queue and is retried with a growing delay.
+  async flushSummaries() {
+    const batch = [...this.pendingSummaries];
+    this.pendingSummaries.clear();
+
+    if (batch.length === 0) {
+      return;
+    }
+
+    try {
+      // Rows may have been sorted or edited by hand, and another instance may have
+      // appended a row for a key this one has not seen: look the rows up again
+      if (batch.some(([key]) => !this.summaryRows.has(key)) || !(await this.cachedRowsMatch(batch))) {
+        await this.refreshSummaryRows();
+      }
+
+      const updates = batch.filter(([key]) => this.summaryRows.has(key));
+      const additions = batch.filter(([key]) => !this.summaryRows.has(key));
+
+      if (updates.length > 0) {
+        await this.call('values.batchUpdate', {
           spreadsheetId: this.spreadsheetId,
-          range: `daily_summary!A${rowIndex}:K${rowIndex}`,
-          valueInputOption: 'RAW',
           resource: {
-            values: [rowData]
+            valueInputOption: 'RAW',
+            data: updates.map(([key, summary]) => {
+              const rowIndex = this.summaryRows.get(key);
+              return {
+                range: `daily_summary!A${rowIndex}:${SUMMARY_LAST_COLUMN}${rowIndex}`,
+                values: [recordToRow(summary, DAILY_SUMMARY_COLUMNS)]
+              };
+            })
           }
         });
-        console.log(`📊 Updated existing row ${rowIndex} for ${employeeName}`);
-      } else {
-        // Append new row
-        await this.sheets.spreadsheets.values.append({
+      }
+
+      if (additions.length > 0) {
+        const response = await this.call('values.append', {
           spreadsheetId: this.spreadsheetId,
-          range: 'daily_summary!A:K',
+          range: `daily_summary!A:${SUMMARY_LAST_COLUMN}`,
           valueInputOption: 'RAW',
           insertDataOption: 'INSERT_ROWS',
           resource: {
-            values: [rowData]
+            values: additions.map(([, summary]) => recordToRow(summary, DAILY_SUMMARY_COLUMNS))
           }
         });
-        console.log(`📊 Added new row for ${employeeName}`);
+
+        // Index the new rows, e.g. "daily_summary!A12:M14" → rows 12, 13, 14
+        const firstRow = parseInt(response.data.updates.updatedRange.match(/![A-Z]+(\d+)/)[1], 10);
+        additions.forEach(([key], offset) => this.summaryRows.set(key, firstRow + offset));
+      }
+
+      // A reconciliation while the batch was pending may have reloaded older values
+      batch.forEach(([key, summary]) => this.summaries.set(key, summary));
+      this.flushFailures = 0;
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+
+      log.debug('Wrote summary rows', { updated: updates.length, added: additions.length });
+    } catch (error) {
+      // Queue them again, unless a newer summary for the key is already waiting
+      batch.forEach(([key, summary]) => {
+        if (!this.pendingSummaries.has(key)) {
+          this.pendingSummaries.set(key, summary);
+        }
+      });
+      const retryInMs = this.scheduleRetry();
+      log.error('Error updating daily summary', { pending: this.pendingSummaries.size, retryInMs, error });
+      throw error;
+    }
+  }
+
+  // Whether the cached rows of a batch still hold the same date, user and team
+  async cachedRowsMatch(batch) {
+    const known = batch.filter(([key]) => this.summaryRows.has(key));
+    if (known.length === 0) {
+      return true;
+    }
+
+    const response = await this.call('values.batchGet', {
+      spreadsheetId: this.spreadsheetId,
+      ranges: known.map(([key]) => {
+        const rowIndex = this.summaryRows.get(key);
+        return `daily_summary!A${rowIndex}:${SUMMARY_LAST_COLUMN}${rowIndex}`;
+      })
+    });
+
+    return response.data.valueRanges.every((range, index) => {
+      const row = (range.values || [])[0];
+      return Boolean(row) && summaryKey(rowToRecord(row, DAILY_SUMMARY_COLUMNS)) === known[index][0];
+    });
+  }
+
+  // Re-index the summary rows from the sheet's date, user and team columns
+  async refreshSummaryRows() {
+    const response = await this.call('values.batchGet', {
+      spreadsheetId: this.spreadsheetId,
+      ranges: SUMMARY_KEY_COLUMNS.map(letter => `daily_summary!${letter}:${letter}`)
+    });
+    const [dates, userIds, teams] = response.data.valueRanges.map(range => range.values || []);
+    const cell = (values, index) => (values[index] && values[index][0]) || '-';
+
+    const summaryRows = new Map();
+    dates.forEach((row, index) => {
+      if (index === 0 || !row || row.length === 0) {
+        return;
+      }
+      const key = summaryKey({ date: row[0], userId: cell(userIds, index), team: cell(teams, index) });
+      // The first row for a key is the one that gets updated, as in reload()
+      if (!summaryRows.has(key)) {
+        summaryRows.set(key, index + 1);
+      }
+    });
+
+    this.summaryRows = summaryRows;
+  }
+
+  async getDailySummaries(from, to) {
+    await this.ensureLoaded();
+
+    return [...this.summaries.values()]
+      .filter(summary => summary.date >= from && summary.date <= to)
+      .map(summary => ({ ...summary }));
+  }
+
+  async appendCorrection(entry) {
+    await this.ensureLoaded();
+
+    const rowData = recordToRow(entry, CORRECTION_COLUMNS);
+
+    await this.serialize(async () => {
+      await this.call('values.append', {
+        spreadsheetId: this.spreadsheetId,
+        range: `corrections!A:${CORRECTIONS_LAST_COLUMN}`,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        resource: {
+          values: [rowData]
+        }
+      });
+
+      this.corrections.push(rowToRecord(rowData.map(String), CORRECTION_COLUMNS));
+    });
+  }
+
+  async getCorrections(from, to) {
+    await this.ensureLoaded();
+
+    return this.corrections
+      .filter(entry => entry.date >= from && entry.date <= to)
+      .map(entry => ({ ...entry }));
+  }
+
+  async replaceRollup(kind, period, rollupRows) {
+    const sheetName = `${kind}_summary`;
+
+    try {
+      const response = await this.call('values.get', {
+        spreadsheetId: this.spreadsheetId,
+        range: `${sheetName}!A:${ROLLUP_LAST_COLUMN}`,
+      });
+
+      // Keep other periods, replace this one (column A is Period)
+      const kept = (response.data.values || []).slice(1).filter(row => row && row.length > 0 && row[0] !== period);
+      const values = [...kept, ...rollupRows.map(record => recordToRow(record, ROLLUP_COLUMNS))];
+
+      await this.call('values.clear', {
+        spreadsheetId: this.spreadsheetId,
+        range: `${sheetName}!A2:Z`
+      });
+
+      if (values.length > 0) {
+        await this.call('values.update', {
+          spreadsheetId: this.spreadsheetId,
+          range: `${sheetName}!A2:${ROLLUP_LAST_COLUMN}${values.length + 1}`,
+          valueInputOption: 'RAW',
+          resource: { values }
+        });
       }
+
+      log.info('Rewrote roll-up', { sheet: sheetName, period, rows: rollupRows.length });
     } catch (error) {
-      console.error('Error updating daily summary:', error);
+      log.error('Error updating roll-up', { sheet: sheetName, error });
       throw error;
     }
   }
+
+  // Rewrite every row of raw_logs ('events') or daily_summary ('dailySummary') in place;
+  // rows mapped to null are deleted. Only for one-off migrations - raw_logs is otherwise append-only.
+  async migrateRecords(kind, mapFn) {
+    const { sheetName, columns, lastColumn } = kind === 'events'
+      ? { sheetName: 'raw_logs', columns: RAW_LOG_COLUMNS, lastColumn: RAW_LOGS_LAST_COLUMN }
+      : { sheetName: 'daily_summary', columns: DAILY_SUMMARY_COLUMNS, lastColumn: SUMMARY_LAST_COLUMN };
+
+    const response = await this.call('values.get', {
+      spreadsheetId: this.spreadsheetId,
+      range: `${sheetName}!A:${lastColumn}`,
+    });
+
+    const rows = (response.data.values || []).slice(1);
+    let changed = 0;
+    let deleted = 0;
+
+    const values = rows.map(row => {
+      if (!row || row.length === 0) {
+        return row || [];
+      }
+      const record = rowToRecord(row, columns);
+      const migrated = mapFn({ ...record });
+      if (migrated === null) {
+        deleted++;
+        return null;
+      }
+      if (JSON.stringify(migrated) !== JSON.stringify(record)) {
+        changed++;
+      }
+      return recordToRow(migrated, columns);
+    }).filter(row => row !== null);
+
+    // Fewer rows than before: clear the old ones first so none are left at the bottom
+    if (deleted > 0) {
+      await this.call('values.clear', {
+        spreadsheetId: this.spreadsheetId,
+        range: `${sheetName}!A2:Z`
+      });
+    }
+
+    if (changed + deleted > 0) {
+      if (values.length > 0) {
+        await this.call('values.update', {
+          spreadsheetId: this.spreadsheetId,
+          range: `${sheetName}!A2:${lastColumn}${values.length + 1}`,
+          valueInputOption: 'RAW',
+          resource: { values }
+        });
+      }
+
+      // Rows changed behind the cache's back
+      if (this.loaded) {
+        await this.reconcile();
+      }
+    }
+
+    return changed + deleted;
+  }
 }
 
 module.exports = GoogleSheetsService;
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger, runWithContext } = require('../utils/logger');
+const { metrics } = require('../utils/metrics');
+const { createJsonFileWriter } = require('../utils/jsonFile');
+
+const POLL_INTERVAL_MS = 1000;
+const DEFAULT_MAX_ATTEMPTS = 10;
+const BASE_DELAY_MS = 5 * 1000;
+const MAX_DELAY_MS = 30 * 60 * 1000;
+
+const log = logger.child({ component: 'job-queue' });
+
+/**
+ * Durable local job queue.
+ * Jobs are kept in one JSON file (rewritten atomically, like JsonStorageService)
+ * and only removed once their handler succeeds, so a crash or a failed
+ * Google Sheets write never loses them. Failed jobs are retried with
+ * exponential backoff; after maxAttempts they move to the dead-letter list
+ * until an admin replays them.
+ */
+class JobQueue {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.JOB_QUEUE_PATH || path.join(process.cwd(), 'data', 'jobs.json');
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+    this.data = { pending: [], dead: [] };
+    this.handlers = new Map();
+    this.writeFile = createJsonFileWriter(this.filePath);
+    this.writeChain = Promise.resolve();
+    this.timer = null;
+    this.running = false;
+
+    // Queue length for GET /metrics
+    metrics.jobs.collect = () => [
+      { labels: { state: 'pending' }, value: this.data.pending.length },
+      { labels: { state: 'dead' }, value: this.data.dead.length }
+    ];
+  }
+
+  async initialize() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      const content = await fs.promises.readFile(this.filePath, 'utf8');
+      this.data = { ...this.data, ...JSON.parse(content) };
+    }
+
+    if (this.data.pending.length > 0) {
+      log.info('Recovered queued jobs', { pending: this.data.pending.length });
+    }
+  }
+
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  start() {
+    this.timer = setInterval(() => this.processDue(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    log.info('Job queue worker started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  save() {
+    this.writeChain = this.writeFile(this.data);
+    return this.writeChain;
+  }
+
+  // Resolves once the job is on disk. `context` (e.g. the Slack event ID) is added to the job's log lines.
+  async enqueue(type, payload, context = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      payload,
+      context,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      runAt: Date.now(),
+      lastError: null
+    };
+
+    this.data.pending.push(job);
+    await this.save();
+
+    // Run right away instead of waiting for the next poll
+    setImmediate(() => this.processDue());
+    return job;
+  }
+
+  async processDue() {
+    // Skip if the previous run is still busy
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    try {
+      let job;
+      while ((job = this.nextDueJob())) {
+        await this.runJob(job);
+      }
+    } catch (error) {
+      log.error('Error processing job queue', { error });
+    } finally {
+      this.running = false;
+    }
+  }
+
+  nextDueJob() {
+    const now = Date.now();
+    return this.data.pending.find(job => job.runAt <= now) || null;
+  }
+
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+    job.attempts++;
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+      await runWithContext({ jobId: job.id, ...job.context }, () => handler(job.payload));
+
+      this.data.pending = this.data.pending.filter(pending => pending.id !== job.id);
+      await this.save();
+    } catch (error) {
+      job.lastError = error.message;
+      job.failedAt = new Date().toISOString();
+
+      if (job.attempts >= this.maxAttempts) {
+        this.data.pending = this.data.pending.filter(pending => pending.id !== job.id);
+        this.data.dead.push(job);
+        log.error('Job moved to dead letters', { jobId: job.id, type: job.type, attempts: job.attempts, ...job.context, error });
+      } else {
+        const delay = this.backoffDelay(job.attempts);
+        job.runAt = Date.now() + delay;
+        log.warn('Job failed, retrying', {
+          jobId: job.id, type: job.type, attempts: job.attempts, retryInSeconds: Math.round(delay / 1000), ...job.context, error: error.message
+        });
+      }
+
+      await this.save();
+    }
+  }
+
+  // 5s, 10s, 20s, ... capped at 30 minutes, with jitter so retries after an outage spread out
+  backoffDelay(attempts) {
+    const delay = Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  list() {
+    return {
+      pending: this.data.pending.map(job => ({ ...job })),
+      dead: this.data.dead.map(job => ({ ...job }))
+    };
+  }
+
+  // Move a dead-letter job back to the queue with a fresh set of attempts
+  async replay(id) {
+    const job = this.data.dead.find(dead => dead.id === id);
+    if (!job) {
+      return null;
+    }
+
+    this.data.dead = this.data.dead.filter(dead => dead.id !== id);
+    this.data.pending.push({ ...job, attempts: 0, runAt: Date.now(), replayedAt: new Date().toISOString() });
+    await this.save();
+
+    setImmediate(() => this.processDue());
+    return job;
+  }
+}
+
+module.exports = JobQueue;
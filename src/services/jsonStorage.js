@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const { summaryKey } = require('./storage');
+const { logger } = require('../utils/logger');
+const { createJsonFileWriter } = require('../utils/jsonFile');
+
+const log = logger.child({ component: 'json-storage' });
+
+/**
+ * Local JSON-file storage backend.
+ * Runs without Google credentials; the whole dataset is kept in memory and
+ * rewritten atomically (temp file + rename) after every change.
+ */
+class JsonStorageService {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.JSON_STORAGE_PATH || path.join(process.cwd(), 'data', 'attendance.json');
+    this.data = { events: [], dailySummary: [], weeklySummary: [], monthlySummary: [], corrections: [] };
+    this.writeFile = createJsonFileWriter(this.filePath);
+    this.writeChain = Promise.resolve();
+  }
+
+  async initialize() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      const content = await fs.promises.readFile(this.filePath, 'utf8');
+      this.data = { ...this.data, ...JSON.parse(content) };
+    }
+  }
+
+  async ensureSchema() {
+    if (!fs.existsSync(this.filePath)) {
+      await this.save();
+      log.info('Created local storage file', { filePath: this.filePath });
+    }
+  }
+
+  // The data file is replaced on every save, so its directory must stay writable
+  async checkHealth() {
+    await fs.promises.access(path.dirname(this.filePath), fs.constants.R_OK | fs.constants.W_OK);
+  }
+
+  save() {
+    this.writeChain = this.writeFile(this.data);
+    return this.writeChain;
+  }
+
+  async appendEvent(event) {
+    this.data.events.push({ ...event });
+    await this.save();
+  }
+
+  async getEvents(date) {
+    return this.data.events
+      .filter(event => event.date === date)
+      .map(event => ({ ...event }));
+  }
+
+  async getEventsBetween(from, to) {
+    return this.data.events
+      .filter(event => event.date >= from && event.date <= to)
+      .map(event => ({ ...event }));
+  }
+
+  async upsertDailySummary(summary) {
+    await this.upsertDailySummaries([summary]);
+  }
+
+  async upsertDailySummaries(summaries) {
+    for (const summary of summaries) {
+      const key = summaryKey(summary);
+      const index = this.data.dailySummary.findIndex(row => summaryKey(row) === key);
+
+      if (index >= 0) {
+        this.data.dailySummary[index] = { ...summary };
+      } else {
+        this.data.dailySummary.push({ ...summary });
+      }
+    }
+
+    await this.save();
+  }
+
+  async getDailySummaries(from, to) {
+    return this.data.dailySummary
+      .filter(summary => summary.date >= from && summary.date <= to)
+      .map(summary => ({ ...summary }));
+  }
+
+  async replaceRollup(kind, period, rollupRows) {
+    const key = `${kind}Summary`;
+    this.data[key] = [
+      ...this.data[key].filter(row => row.period !== period),
+      ...rollupRows.map(row => ({ ...row }))
+    ];
+
+    await this.save();
+    log.info('Rewrote roll-up', { kind, period, rows: rollupRows.length });
+  }
+
+  async appendCorrection(entry) {
+    this.data.corrections.push({ ...entry });
+    await this.save();
+  }
+
+  async getCorrections(from, to) {
+    return this.data.corrections
+      .filter(entry => entry.date >= from && entry.date <= to)
+      .map(entry => ({ ...entry }));
+  }
+
+  // Rewrite every 'events' / 'dailySummary' record in place; null deletes it (migrations only)
+  async migrateRecords(kind, mapFn) {
+    let changed = 0;
+
+    this.data[kind] = this.data[kind].map(record => {
+      const migrated = mapFn({ ...record });
+      if (JSON.stringify(migrated) !== JSON.stringify(record)) {
+        changed++;
+      }
+      return migrated;
+    }).filter(record => record !== null);
+
+    if (changed > 0) {
+      await this.save();
+    }
+
+    return changed;
+  }
+}
+
+module.exports = JsonStorageService;
@@ -0,0 +1,108 @@
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'notifier' });
+
+// Flags that only mean "not finished yet" right after #breakstart / #lunchstart
+const PENDING_FLAGS = ['unclosed-break', 'lunch-without-end'];
+
+const REACTIONS = {
+  ok: 'white_check_mark',
+  warning: 'warning'
+};
+
+// Button on the end-of-day DM, handled by the /slack/interactions route
+const REPORT_PROBLEM_ACTION = 'report_problem';
+
+function splitFlags(flags) {
+  return flags && flags !== '-' ? flags.split(', ') : [];
+}
+
+/**
+ * Feedback to the person posting: a reaction on every keyword message and
+ * a summary DM when the day ends (#daily-report / #exit).
+ * Notifications are best-effort - a Slack error never fails the event job.
+ */
+class SlackNotifier {
+  constructor(slackClient) {
+    this.slackClient = slackClient;
+  }
+
+  // ✅ when the message was recorded cleanly, ⚠️ when it added an anomaly to the day
+  async acknowledge(channel, ts, flagsBefore, summary) {
+    const before = splitFlags(flagsBefore);
+    const added = splitFlags(summary && summary.flags)
+      .filter(flag => !before.includes(flag) && !PENDING_FLAGS.includes(flag));
+    const name = added.length > 0 ? REACTIONS.warning : REACTIONS.ok;
+
+    try {
+      await this.slackClient.reactions.add({ channel, timestamp: ts, name });
+    } catch (error) {
+      // A retried job reacts again
+      if (error.data && error.data.error === 'already_reacted') {
+        return;
+      }
+      log.error('Error adding reaction', { channel, ts, error });
+    }
+  }
+
+  async sendDaySummary(userId, summary) {
+    try {
+      await this.slackClient.chat.postMessage({
+        channel: userId,
+        text: `Your day ${summary.date}: net working hours ${summary.netWorkingHours}`,
+        blocks: this.buildSummaryBlocks(summary)
+      });
+      log.info('Sent day summary', { userId, date: summary.date });
+    } catch (error) {
+      log.error('Error sending day summary', { userId, error });
+    }
+  }
+
+  buildSummaryBlocks(summary) {
+    const field = (label, value) => ({ type: 'mrkdwn', text: `*${label}*\n${value}` });
+    const flags = splitFlags(summary.flags);
+
+    const blocks = [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: `Your day – ${summary.date}` }
+      },
+      {
+        type: 'section',
+        fields: [
+          field('Entry / Exit', `${summary.entryTime} → ${summary.exitTime} (${summary.totalHours})`),
+          field('Task Start / End', `${summary.taskStartTime} → ${summary.taskEndTime}`),
+          field('Lunch', summary.lunchDuration),
+          field('Breaks', `${summary.breakDuration} (${summary.breakCount})`),
+          field('Net Working Hours', summary.netWorkingHours),
+          ...(summary.requiredHours && summary.requiredHours !== '-'
+            ? [field('Adjusted / Required', `${summary.adjustedHours} / ${summary.requiredHours}`)]
+            : [])
+        ]
+      }
+    ];
+
+    if (flags.length > 0) {
+      blocks.push({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `⚠️ Flags: ${flags.join(', ')}` }]
+      });
+    }
+
+    blocks.push({
+      type: 'actions',
+      elements: [{
+        type: 'button',
+        action_id: REPORT_PROBLEM_ACTION,
+        text: { type: 'plain_text', text: 'Something\'s wrong' },
+        value: JSON.stringify({ date: summary.date, team: summary.team })
+      }]
+    });
+
+    return blocks;
+  }
+}
+
+SlackNotifier.REPORT_PROBLEM_ACTION = REPORT_PROBLEM_ACTION;
+
+module.exports = SlackNotifier;
@@ -0,0 +1,76 @@
+const { getCurrentWorkDate } = require('../utils/helpers');
+const { getTeam } = require('../utils/teams');
+const AttendanceService = require('./attendance');
+const { logger } = require('../utils/logger');
+
+const { PRESENCE } = AttendanceService;
+
+const log = logger.child({ component: 'presence' });
+
+/**
+ * Who is in, on lunch, on a break or gone, per team: AttendanceService's live
+ * presence plus the team's channel members who have not posted today.
+ * Used by GET /api/presence, `/attendance who` and the dashboard board.
+ */
+class PresenceService {
+  constructor(attendanceService, roster) {
+    this.attendanceService = attendanceService;
+    this.roster = roster;
+  }
+
+  async getTeamPresence(teamName) {
+    const team = getTeam(teamName);
+    if (!team) {
+      return null;
+    }
+
+    const people = new Map();
+    for (const presence of this.attendanceService.getPresence(team.name)) {
+      const summary = await this.attendanceService.calculateDailySummary(presence.date, presence.userId, team.name);
+      people.set(presence.userId, {
+        userId: presence.userId,
+        employeeName: presence.employeeName,
+        state: presence.state,
+        since: presence.since,
+        keyword: presence.keyword,
+        flags: presence.flags,
+        status: summary ? summary.status : null,
+        netWorkingHours: summary ? summary.netWorkingHours : null
+      });
+    }
+
+    // Members without a keyword yet; presence still works when Slack is unreachable
+    try {
+      for (const member of await this.roster.getMembers(team)) {
+        if (!people.has(member.userId)) {
+          people.set(member.userId, {
+            userId: member.userId,
+            employeeName: member.employeeName,
+            state: PRESENCE.NOT_ARRIVED,
+            since: null,
+            keyword: null,
+            flags: [],
+            status: null,
+            netWorkingHours: null
+          });
+        }
+      }
+    } catch (error) {
+      log.error('Error loading team members for presence', { team: team.name, error });
+    }
+
+    const list = [...people.values()].sort((a, b) => a.employeeName.localeCompare(b.employeeName));
+    const counts = {};
+    list.forEach(person => { counts[person.state] = (counts[person.state] || 0) + 1; });
+
+    return {
+      team: team.name,
+      date: getCurrentWorkDate(team.shiftCutoff, team.timezone),
+      timezone: team.timezone,
+      counts,
+      people: list
+    };
+  }
+}
+
+module.exports = PresenceService;
@@ -0,0 +1,180 @@
+const moment = require('moment-timezone');
+const { durationToMinutes, timeToShiftMinutes, getCurrentWorkDate } = require('../utils/helpers');
+const { STATUSES, WORKING_STATUSES } = require('../utils/calendar');
+const { getTeamSettings } = require('../utils/teams');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'rollups' });
+
+const REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+
+// Period key and bounds for each roll-up kind
+const PERIODS = {
+  weekly: {
+    key: day => day.format('GGGG-[W]WW'),
+    start: day => day.clone().startOf('isoWeek'),
+    end: day => day.clone().endOf('isoWeek')
+  },
+  monthly: {
+    key: day => day.format('YYYY-MM'),
+    start: day => day.clone().startOf('month'),
+    end: day => day.clone().endOf('month')
+  }
+};
+
+/**
+ * Weekly and monthly per-employee roll-ups built from daily_summary rows.
+ * The current (and previous day's) periods are refreshed hourly; any range
+ * can be recomputed on demand through the admin API.
+ */
+class RollupService {
+  constructor(storage, attendanceService) {
+    this.storage = storage;
+    this.attendanceService = attendanceService;
+    this.timezone = process.env.TIMEZONE || 'Asia/Kolkata';
+    this.timer = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => {
+      this.refreshCurrent().catch(error => log.error('Error refreshing roll-ups', { error }));
+    }, REFRESH_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Yesterday is included so a period is finalised after it ends
+  async refreshCurrent() {
+    const today = getCurrentWorkDate();
+    const yesterday = moment.tz(today, this.timezone).subtract(1, 'day').format('YYYY-MM-DD');
+    return this.recomputeRange(yesterday, today);
+  }
+
+  // Recompute every week and month touching [from, to]
+  async recomputeRange(from, to) {
+    const recomputed = [];
+
+    for (const kind of Object.keys(PERIODS)) {
+      const seen = new Set();
+      const day = moment.tz(from, this.timezone);
+      const last = moment.tz(to, this.timezone);
+
+      while (day.isSameOrBefore(last, 'day')) {
+        const period = PERIODS[kind].key(day);
+        if (!seen.has(period)) {
+          seen.add(period);
+          await this.recompute(kind, day.format('YYYY-MM-DD'));
+          recomputed.push({ kind, period });
+        }
+        day.add(1, 'day');
+      }
+    }
+
+    return recomputed;
+  }
+
+  async recompute(kind, date) {
+    const day = moment.tz(date, this.timezone);
+    const period = PERIODS[kind].key(day);
+    const periodStart = PERIODS[kind].start(day).format('YYYY-MM-DD');
+    const periodEnd = PERIODS[kind].end(day).format('YYYY-MM-DD');
+
+    const summaries = await this.storage.getDailySummaries(periodStart, periodEnd);
+    const rows = this.buildRows(summaries, { period, periodStart, periodEnd });
+
+    await this.storage.replaceRollup(kind, period, rows);
+    return rows;
+  }
+
+  buildRows(summaries, periodInfo) {
+    const today = getCurrentWorkDate();
+    const byEmployee = new Map();
+
+    // One row per employee and team, like daily_summary
+    for (const summary of summaries) {
+      const key = `${summary.userId}|${summary.team}`;
+      if (!byEmployee.has(key)) {
+        byEmployee.set(key, []);
+      }
+      byEmployee.get(key).push(summary);
+    }
+
+    const rows = [];
+    for (const days of byEmployee.values()) {
+      const { userId, team } = days[0];
+      // Latest display name
+      const { employeeName } = days.reduce((latest, day) => (day.date > latest.date ? day : latest));
+      const present = days.filter(day => this.isPresent(day));
+      const totalNet = this.sum(days, 'netWorkingHours');
+
+      rows.push({
+        ...periodInfo,
+        employeeName,
+        daysPresent: present.length,
+        totalNetHours: this.attendanceService.formatDuration(totalNet),
+        averageNetHours: this.attendanceService.formatDuration(present.length > 0 ? Math.round(totalNet / present.length) : 0),
+        totalLunch: this.attendanceService.formatDuration(this.sum(days, 'lunchDuration')),
+        totalBreak: this.attendanceService.formatDuration(this.sum(days, 'breakDuration')),
+        // Coming in late on a half day is expected
+        lateDays: present.filter(day => day.status !== STATUSES.HALF_DAY && this.isLate(day)).length,
+        // Today may still be in progress
+        daysMissingExit: days.filter(day => day.date < today && this.isMissingExit(day)).length,
+        team,
+        userId,
+        absentDays: this.countStatus(days, STATUSES.ABSENT),
+        leaveDays: this.countStatus(days, STATUSES.LEAVE),
+        wfhDays: this.countStatus(days, STATUSES.WFH),
+        halfDays: this.countStatus(days, STATUSES.HALF_DAY),
+        holidays: this.countStatus(days, STATUSES.HOLIDAY)
+      });
+    }
+
+    return rows.sort((a, b) => a.employeeName.localeCompare(b.employeeName) || a.team.localeCompare(b.team));
+  }
+
+  sum(days, field) {
+    return days.reduce((total, day) => total + durationToMinutes(day[field]), 0);
+  }
+
+  countStatus(days, status) {
+    return days.filter(day => day.status === status).length;
+  }
+
+  // Rows written before statuses existed fall back to their times
+  isPresent(summary) {
+    if (summary.status && summary.status !== '-') {
+      return WORKING_STATUSES.includes(summary.status);
+    }
+    return summary.entryTime !== '-' || summary.taskStartTime !== '-';
+  }
+
+  isMissingExit(summary) {
+    return (summary.taskStartTime !== '-' && summary.taskEndTime === '-') ||
+      (summary.entryTime !== '-' && summary.exitTime === '-');
+  }
+
+  // Earliest of #entry / #daily-task after the team's expectedStart + grace
+  isLate(summary) {
+    const settings = getTeamSettings(summary.team);
+    if (!settings.expectedStart) {
+      return false;
+    }
+
+    const arrivals = [summary.entryTime, summary.taskStartTime]
+      .filter(time => time && time !== '-')
+      .map(time => timeToShiftMinutes(time, settings.shiftCutoff));
+    // WFH, admin-registered or Present days without an arrival keyword are never late
+    if (arrivals.length === 0) {
+      return false;
+    }
+    const expected = timeToShiftMinutes(settings.expectedStart, settings.shiftCutoff) + settings.graceMinutes;
+
+    return Math.min(...arrivals) > expected;
+  }
+}
+
+module.exports = RollupService;
@@ -0,0 +1,224 @@
+const moment = require('moment-timezone');
+const { KEYWORDS, getCurrentWorkDate, workDateTimeToUtc } = require('../utils/helpers');
+const { getTeams, resolveTimezone } = require('../utils/teams');
+const { getHoliday } = require('../utils/calendar');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'scheduler' });
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-process alert scheduler.
+ * Every minute, for each team with expectedStart / expectedEnd configured:
+ *   - after expectedStart + graceMinutes: DM members with no #daily-task / #entry yet
+ *   - after expectedEnd + graceMinutes: DM members with an open #daily-task (no #daily-report)
+ *     or an #entry without #exit
+ * and posts a digest of flagged people to the team's managerChannel.
+ * No alerts on holidays, and nobody on #leave / #halfday is flagged late.
+ * Times are each member's local time (Slack tz, or the team's timezoneOverride),
+ * so members are checked in groups per timezone.
+ * Each alert is claimed in the dedup store, so it fires once per team, timezone
+ * and day even across restarts or several instances.
+ */
+class AlertScheduler {
+  constructor(slackClient, attendanceService, dedupStore, roster) {
+    this.slackClient = slackClient;
+    this.attendanceService = attendanceService;
+    this.dedupStore = dedupStore;
+    this.roster = roster;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.tick(), CHECK_INTERVAL_MS);
+    this.timer.unref();
+    log.info('Alert scheduler started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    // Skip if the previous run is still busy with Slack calls
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    try {
+      for (const team of getTeams()) {
+        await this.checkTeam(team);
+      }
+    } catch (error) {
+      log.error('Error running alert checks', { error });
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async checkTeam(team, now = moment()) {
+    if (!team.expectedStart && !team.expectedEnd) {
+      return;
+    }
+
+    const members = await this.roster.getMembers(team);
+
+    // One check per timezone the team's members are in
+    const byTimezone = new Map();
+    for (const member of members) {
+      const timezone = resolveTimezone(team, member.timezone);
+      if (!byTimezone.has(timezone)) {
+        byTimezone.set(timezone, []);
+      }
+      byTimezone.get(timezone).push(member);
+    }
+
+    for (const [timezone, timezoneMembers] of byTimezone) {
+      await this.checkTimezone(team, timezone, timezoneMembers, now.clone().tz(timezone));
+    }
+  }
+
+  async checkTimezone(team, timezone, members, now) {
+    const date = getCurrentWorkDate(team.shiftCutoff, timezone, now);
+    const workDay = moment.tz(date, timezone);
+
+    if (!team.workDays.includes(workDay.isoWeekday()) || getHoliday(date, team.name)) {
+      return;
+    }
+
+    const startAt = team.expectedStart && this.timeOnWorkDay(date, team.expectedStart, team.shiftCutoff, timezone);
+    let endAt = team.expectedEnd && this.timeOnWorkDay(date, team.expectedEnd, team.shiftCutoff, timezone);
+
+    // Night shifts end on the next calendar day
+    if (startAt && endAt && endAt.isSameOrBefore(startAt)) {
+      endAt.add(1, 'day');
+    }
+
+    const lateCutoff = startAt && startAt.clone().add(team.graceMinutes, 'minutes');
+    const exitCutoff = endAt && endAt.clone().add(team.graceMinutes, 'minutes');
+
+    // Late arrivals only make sense before the end-of-day check
+    if (lateCutoff && now.isSameOrAfter(lateCutoff) && !(exitCutoff && now.isSameOrAfter(exitCutoff))) {
+      await this.runOnce(`alert-late-${team.name}-${timezone}-${date}`,
+        () => this.runLateCheck(team, date, members, timezone));
+    }
+
+    if (exitCutoff && now.isSameOrAfter(exitCutoff)) {
+      await this.runOnce(`alert-exit-${team.name}-${timezone}-${date}`,
+        () => this.runMissingExitCheck(team, date, members, timezone));
+    }
+  }
+
+  // Run a check once per key; a failed run is released so the next tick retries it
+  async runOnce(key, check) {
+    if (!(await this.dedupStore.claim(key))) {
+      return;
+    }
+
+    try {
+      await check();
+    } catch (error) {
+      await this.dedupStore.release(key);
+      throw error;
+    }
+  }
+
+  // A time of the work day; times before the shift cutoff fall on the next calendar day
+  timeOnWorkDay(date, time, shiftCutoff, timezone) {
+    return moment.tz(workDateTimeToUtc(date, time, shiftCutoff, timezone), timezone);
+  }
+
+  async runLateCheck(team, date, members, timezone) {
+    // Arriving in any team counts - someone in two teams only posts once
+    const events = await this.attendanceService.getDayEvents(date);
+    const arrived = new Set(events
+      .filter(event => event.keyword === KEYWORDS.DAILY_TASK || event.keyword === KEYWORDS.ENTRY)
+      .map(event => event.userId));
+
+    // Nobody on leave or a half day is late
+    const away = new Set(events
+      .filter(event => event.keyword === KEYWORDS.LEAVE || event.keyword === KEYWORDS.HALF_DAY)
+      .map(event => event.userId));
+
+    const flagged = members.filter(member => !arrived.has(member.userId) && !away.has(member.userId));
+    log.info('Late check', { team: team.name, timezone, date, flagged: flagged.length });
+
+    for (const member of flagged) {
+      await this.sendDirectMessage(member.userId,
+        `Hi ${member.employeeName}, we haven't seen your ${KEYWORDS.DAILY_TASK} or ${KEYWORDS.ENTRY} today ` +
+        `(expected by ${team.expectedStart}). If you're working, please post it in ${this.channelMention(team.channels[0])}.`);
+    }
+
+    await this.postDigest(team,
+      `*Late arrivals – ${team.name} – ${date}* (no ${KEYWORDS.DAILY_TASK}/${KEYWORDS.ENTRY} by ` +
+      `${team.expectedStart} ${timezone} + ${team.graceMinutes} min)`,
+      flagged.map(member => `• ${member.employeeName}`));
+  }
+
+  async runMissingExitCheck(team, date, members, timezone) {
+    const events = await this.attendanceService.getDayEvents(date);
+    const flagged = [];
+
+    for (const member of members) {
+      const keywords = new Set(events
+        .filter(event => event.userId === member.userId && event.team === team.name)
+        .map(event => event.keyword));
+
+      const missing = [];
+      if (keywords.has(KEYWORDS.DAILY_TASK) && !keywords.has(KEYWORDS.DAILY_REPORT)) {
+        missing.push(KEYWORDS.DAILY_REPORT);
+      }
+      if (keywords.has(KEYWORDS.ENTRY) && !keywords.has(KEYWORDS.EXIT)) {
+        missing.push(KEYWORDS.EXIT);
+      }
+
+      if (missing.length > 0) {
+        flagged.push({ ...member, missing });
+      }
+    }
+
+    log.info('Missing exit check', { team: team.name, timezone, date, flagged: flagged.length });
+
+    for (const member of flagged) {
+      await this.sendDirectMessage(member.userId,
+        `Hi ${member.employeeName}, your day is still open – please post ${member.missing.join(' and ')} ` +
+        `in ${this.channelMention(team.channels[0])} when you finish. Missed it? Use \`/attendance punch\`.`);
+    }
+
+    await this.postDigest(team,
+      `*Missing exit – ${team.name} – ${date} (${timezone})*`,
+      flagged.map(member => `• ${member.employeeName} (no ${member.missing.join(', ')})`));
+  }
+
+  channelMention(channel) {
+    return this.roster.isChannelId(channel) ? `<#${channel}>` : `#${channel}`;
+  }
+
+  async sendDirectMessage(userId, text) {
+    try {
+      await this.slackClient.chat.postMessage({ channel: userId, text });
+    } catch (error) {
+      log.error('Error sending alert DM', { userId, error });
+    }
+  }
+
+  async postDigest(team, title, lines) {
+    if (!team.managerChannel || lines.length === 0) {
+      return;
+    }
+
+    const channel = await this.roster.resolveChannelId(team.managerChannel);
+    if (!channel) {
+      log.warn('Manager channel not found', { team: team.name, channel: team.managerChannel });
+      return;
+    }
+
+    await this.slackClient.chat.postMessage({ channel, text: [title, ...lines].join('\n') });
+  }
+}
+
+module.exports = AlertScheduler;
@@ -0,0 +1,54 @@
+const { WebClient, WebClientEvent, LogLevel, retryPolicies } = require('@slack/web-api');
+const { createLogger, logger } = require('../utils/logger');
+const { metrics } = require('../utils/metrics');
+
+// The SDK's own messages (retries, rate limits) go through the structured logger.
+// Its debug lines are dropped: they carry raw request bodies and results (message
+// text, DMs) as plain strings, which the logger's key-based redaction cannot reach.
+function sdkLogger() {
+  const log = createLogger({ component: 'slack-sdk' });
+  let level = LogLevel.INFO;
+
+  return {
+    debug: () => {},
+    info: (...args) => log.info(args.join(' ')),
+    warn: (...args) => log.warn(args.join(' ')),
+    error: (...args) => log.error(args.join(' ')),
+    setLevel: newLevel => { level = newLevel; },
+    getLevel: () => level,
+    setName: () => {}
+  };
+}
+
+// Every Web API method goes through apiCall, so timing it here covers all of them
+class InstrumentedWebClient extends WebClient {
+  async apiCall(method, options) {
+    try {
+      return await metrics.slackLatency.time({ method }, () => super.apiCall(method, options));
+    } catch (error) {
+      metrics.slackErrors.inc({ method });
+      throw error;
+    }
+  }
+}
+
+const log = logger.child({ component: 'slack-client' });
+
+// On a 429 the SDK pauses every queued call for Retry-After seconds and then retries, so a burst
+// of keyword posts is delayed, never dropped. The job queue retries anything that still fails.
+function createSlackClient(token = process.env.SLACK_BOT_TOKEN) {
+  const client = new InstrumentedWebClient(token, {
+    logger: sdkLogger(),
+    rejectRateLimitedCalls: false,
+    retryConfig: retryPolicies.tenRetriesInAboutThirtyMinutes
+  });
+
+  client.on(WebClientEvent.RATE_LIMITED, (retryAfterSeconds, { url }) => {
+    log.warn('Slack rate limit hit, waiting for Retry-After', { method: url, retryAfterSeconds });
+    metrics.slackRateLimited.inc({ method: url });
+  });
+
+  return client;
+}
+
+module.exports = { createSlackClient };
@@ -0,0 +1,154 @@
+const { logger } = require('../utils/logger');
+const { metrics } = require('../utils/metrics');
+
+const log = logger.child({ component: 'slack-directory' });
+
+const DEFAULT_TTL_HOURS = 12;
+
+/**
+ * Cached Slack user and channel metadata (users.info / conversations.info).
+ * Warmed at startup with users.list and conversations.list, kept fresh by
+ * user_change / channel_rename events, and otherwise refetched after
+ * SLACK_CACHE_TTL_HOURS. Concurrent lookups of the same ID share one API call,
+ * and an expired entry is still served when Slack cannot be reached.
+ */
+class SlackDirectory {
+  constructor(slackClient, options = {}) {
+    this.slackClient = slackClient;
+    this.ttlMs = (options.ttlHours || parseFloat(process.env.SLACK_CACHE_TTL_HOURS) || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+    this.users = new Map();
+    this.channels = new Map();
+    this.channelIds = new Map();
+    this.channelsListedAt = 0;
+    this.inFlight = new Map();
+  }
+
+  // Load every user and channel in a few paginated calls instead of one call per ID
+  async warm() {
+    const [users, channels] = await Promise.all([this.listUsers(), this.listChannels()]);
+    log.info('Slack directory warmed', { users, channels });
+  }
+
+  async listUsers() {
+    let count = 0;
+    let cursor;
+    do {
+      const response = await this.slackClient.users.list({ limit: 200, cursor });
+      response.members.forEach(user => this.setUser(user));
+      count += response.members.length;
+      cursor = response.response_metadata && response.response_metadata.next_cursor;
+    } while (cursor);
+    return count;
+  }
+
+  async listChannels() {
+    const channelIds = new Map();
+    let count = 0;
+    let cursor;
+    do {
+      const response = await this.slackClient.conversations.list({
+        types: 'public_channel,private_channel',
+        exclude_archived: true,
+        limit: 1000,
+        cursor
+      });
+      response.channels.forEach(channel => {
+        this.setChannel(channel);
+        channelIds.set(channel.name, channel.id);
+      });
+      count += response.channels.length;
+      cursor = response.response_metadata && response.response_metadata.next_cursor;
+    } while (cursor);
+
+    this.channelIds = channelIds;
+    this.channelsListedAt = Date.now();
+    return count;
+  }
+
+  setUser(user) {
+    this.users.set(user.id, { value: user, fetchedAt: Date.now() });
+  }
+
+  setChannel(channel) {
+    this.channels.set(channel.id, { value: channel, fetchedAt: Date.now() });
+  }
+
+  // The users.info "user" object
+  async getUser(userId) {
+    return this.lookup('user', this.users, userId, async () => {
+      const response = await this.slackClient.users.info({ user: userId });
+      this.setUser(response.user);
+      return response.user;
+    });
+  }
+
+  // The conversations.info "channel" object (DMs have no name)
+  async getChannel(channelId) {
+    return this.lookup('channel', this.channels, channelId, async () => {
+      const response = await this.slackClient.conversations.info({ channel: channelId });
+      this.setChannel(response.channel);
+      return response.channel;
+    });
+  }
+
+  // Channel ID for a name ("team-309" or "#team-309"), or null
+  async findChannelId(name) {
+    const channelName = name.replace(/^#/, '');
+    if (!this.channelIds.has(channelName) && Date.now() - this.channelsListedAt >= this.ttlMs) {
+      await this.listChannels();
+    }
+    return this.channelIds.get(channelName) || null;
+  }
+
+  async lookup(kind, cache, id, fetch) {
+    const cached = cache.get(id);
+    if (cached && Date.now() - cached.fetchedAt < this.ttlMs) {
+      metrics.slackCacheLookups.inc({ kind, result: 'hit' });
+      return cached.value;
+    }
+
+    const key = `${kind}:${id}`;
+    if (!this.inFlight.has(key)) {
+      const request = fetch().finally(() => this.inFlight.delete(key));
+      this.inFlight.set(key, request);
+    }
+
+    try {
+      const value = await this.inFlight.get(key);
+      metrics.slackCacheLookups.inc({ kind, result: 'miss' });
+      return value;
+    } catch (error) {
+      if (!cached) {
+        throw error;
+      }
+      log.warn('Slack lookup failed, using expired cache entry', { kind, id, error: error.message });
+      metrics.slackCacheLookups.inc({ kind, result: 'stale' });
+      return cached.value;
+    }
+  }
+
+  // user_change carries the full new profile; channel_rename only the new name
+  handleEvent(event) {
+    if (event.type === 'user_change') {
+      this.setUser(event.user);
+      log.info('User profile changed', { userId: event.user.id });
+      return true;
+    }
+
+    if (event.type === 'channel_rename') {
+      const { id, name } = event.channel;
+      const cached = this.channels.get(id);
+      if (cached) {
+        this.channelIds.delete(cached.value.name);
+        this.setChannel({ ...cached.value, name });
+      }
+      this.channelIds.set(name, id);
+      log.info('Channel renamed', { channel: id, channelName: name });
+      return true;
+    }
+
+    return false;
+  }
+}
+
+module.exports = SlackDirectory;
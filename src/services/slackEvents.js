@@ -0,0 +1,245 @@
+const { extractKeywords, isFinalReport, parseSlackTimestamp } = require('../utils/helpers');
+const { getTeamForChannel, resolveTimezone } = require('../utils/teams');
+const { logger } = require('../utils/logger');
+const { metrics } = require('../utils/metrics');
+
+const log = logger.child({ component: 'slack-events' });
+
+class SlackEventService {
+  constructor(directory, attendanceService, notifier = null) {
+    this.directory = directory; // Cached users.info / conversations.info
+    this.attendanceService = attendanceService;
+    this.notifier = notifier; // Reactions and end-of-day DMs (none for the backfill CLI)
+  }
+
+  // Handle Slack message events
+  async handleEvent(event) {
+    // Message text is redacted by the logger
+    log.debug('Processing event', { event });
+
+    // Profile and channel name changes refresh the cached metadata
+    if (this.directory.handleEvent(event)) {
+      return;
+    }
+
+    // Only process message events
+    if (event.type !== 'message') {
+      log.debug('Not a message event, skipping', { eventType: event.type });
+      return;
+    }
+
+    if (event.subtype === 'message_changed') {
+      return this.handleMessageChanged(event);
+    }
+
+    if (event.subtype === 'message_deleted') {
+      return this.handleMessageDeleted(event);
+    }
+
+    // Ignore bot messages and other subtypes (joins, topic changes, ...)
+    if (event.bot_id || event.subtype) {
+      log.debug('Bot message or subtype, skipping', { botId: event.bot_id, subtype: event.subtype });
+      return;
+    }
+
+    const { text, user, channel } = event;
+
+    if (!text || !user) {
+      log.warn('Message without text or user, skipping', { ts: event.ts });
+      return;
+    }
+
+    // Cheap check before any Slack API calls
+    if (extractKeywords(text).length === 0) {
+      log.debug('No keyword in message', { ts: event.ts });
+      return;
+    }
+
+    try {
+      const events = await this.messageToEvents(event, channel);
+      if (events.length === 0) {
+        return;
+      }
+
+      log.info('Processing message', { userId: user, channel, ts: event.ts, keywords: events.map(e => e.keyword) });
+
+      // Anomalies before this message, to tell whether it added one
+      const { date, team } = events[0];
+      const before = this.notifier && await this.attendanceService.calculateDailySummary(date, user, team);
+
+      // Log one attendance event per keyword
+      let result = null;
+      for (const eventData of events) {
+        result = await this.attendanceService.logEvent(eventData);
+
+        if (result.logged) {
+          metrics.keywordsMatched.inc({ keyword: eventData.keyword });
+        }
+        log.info('Logged keyword', {
+          userId: user, team: eventData.team, keyword: eventData.keyword, date: eventData.date, time: eventData.time, logged: result.logged
+        });
+      }
+
+      if (this.notifier) {
+        await this.notifier.acknowledge(channel, event.ts, before && before.flags, result.summary);
+
+        // One DM per message, even with "#daily-report #exit". Decided from the keywords, not from
+        // whether this run logged them: a retried job whose events were already stored still sends it
+        if (events.some(eventData => isFinalReport(eventData.keyword)) && result.summary) {
+          await this.notifier.sendDaySummary(user, result.summary);
+        }
+      }
+    } catch (error) {
+      log.error('Error processing attendance', { ts: event.ts, error });
+      metrics.errors.inc({ component: 'slack-events' });
+      throw error; // Fail the job so the queue retries it
+    }
+  }
+
+  // Attendance events for a user message, one per keyword the channel accepts
+  // (none if the channel is not a team channel). Also used by the backfill CLI.
+  async messageToEvents({ text, user, ts }, channel) {
+    const context = await this.resolveContext(user, channel);
+    if (!context) {
+      return [];
+    }
+    const { employeeName, slackUsername, channelName, team, timezone } = context;
+
+    // Keywords this channel accepts, in message order ("#breakend #lunchstart" → two events)
+    const keywords = extractKeywords(text, channelName);
+
+    // Parse timestamp into the user's local work day (night shifts roll back past the team's cutoff)
+    const { date, time, utc } = parseSlackTimestamp(ts, team.shiftCutoff, timezone);
+
+    return keywords.map(keyword => ({
+      date,
+      time,
+      utcTime: utc,
+      timezone,
+      userId: user,
+      employeeName,
+      slackUsername,
+      channelName,
+      team: team.name,
+      keyword,
+      slackTs: ts
+    }));
+  }
+
+  // An edited message supersedes the events of the original ts
+  async handleMessageChanged(event) {
+    const { message, previous_message: previous, channel } = event;
+
+    if (!message || message.bot_id || !message.user) {
+      log.debug('Edit without a user message, skipping');
+      return;
+    }
+
+    const keywords = extractKeywords(message.text);
+    const previousKeywords = previous ? extractKeywords(previous.text) : [];
+
+    // Unfurls and typo fixes also arrive as message_changed
+    if (keywords.join(' ') === previousKeywords.join(' ')) {
+      log.debug('Edit did not change the keywords, skipping', { ts: message.ts });
+      return;
+    }
+
+    log.info('Message edited', { ts: message.ts, from: previousKeywords, to: keywords });
+
+    try {
+      const context = await this.resolveContext(message.user, channel);
+      if (!context) {
+        return;
+      }
+      const { employeeName, slackUsername, channelName, team, timezone } = context;
+
+      // Events keep the time of the original message
+      const { date, time, utc } = parseSlackTimestamp(message.ts, team.shiftCutoff, timezone);
+      const revision = (message.edited && message.edited.ts) || event.event_ts || event.ts;
+
+      await this.attendanceService.reviseMessage({
+        date,
+        time,
+        utcTime: utc,
+        timezone,
+        userId: message.user,
+        employeeName,
+        slackUsername,
+        channelName,
+        team: team.name,
+        keywords: extractKeywords(message.text, channelName),
+        slackTs: message.ts,
+        revision
+      });
+    } catch (error) {
+      log.error('Error processing edited message', { ts: message.ts, error });
+      metrics.errors.inc({ component: 'slack-events' });
+      throw error;
+    }
+  }
+
+  // A deleted message voids the events of the original ts
+  async handleMessageDeleted(event) {
+    const { deleted_ts: deletedTs, previous_message: previous, channel } = event;
+
+    if (previous && extractKeywords(previous.text).length === 0) {
+      log.debug('Deleted message had no keyword, skipping', { ts: deletedTs });
+      return;
+    }
+
+    log.info('Message deleted', { ts: deletedTs });
+
+    try {
+      // The work date is in the poster's timezone, as when the message was logged
+      const context = previous && previous.user
+        ? await this.resolveContext(previous.user, channel)
+        : await this.resolveChannel(channel);
+      if (!context) {
+        return;
+      }
+      const { team, timezone = team.timezone } = context;
+      const { date } = parseSlackTimestamp(deletedTs, team.shiftCutoff, timezone);
+
+      await this.attendanceService.voidMessage({
+        date,
+        slackTs: deletedTs,
+        revision: event.event_ts || event.ts
+      });
+    } catch (error) {
+      log.error('Error processing deleted message', { ts: deletedTs, error });
+      metrics.errors.inc({ component: 'slack-events' });
+      throw error;
+    }
+  }
+
+  // Channel name and team, or null when the channel is not a configured team channel
+  async resolveChannel(channel) {
+    const { name: channelName } = await this.directory.getChannel(channel);
+
+    const team = getTeamForChannel(channel, channelName);
+    if (!team) {
+      log.info('Rejected event from unconfigured channel', { channel, channelName: channelName || 'DM' });
+      return null;
+    }
+
+    return { channelName, team };
+  }
+
+  async resolveContext(user, channel) {
+    const channelContext = await this.resolveChannel(channel);
+    if (!channelContext) {
+      return null;
+    }
+
+    const slackUser = await this.directory.getUser(user);
+    const employeeName = slackUser.real_name || slackUser.name;
+    const slackUsername = slackUser.name;
+
+    // Local time of the person posting, unless the team pins one timezone
+    const timezone = resolveTimezone(channelContext.team, slackUser.tz);
+
+    return { employeeName, slackUsername, timezone, ...channelContext };
+  }
+}
+
+module.exports = SlackEventService;
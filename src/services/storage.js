@@ -0,0 +1,210 @@
+/**
+ * Storage interface shared by all backends.
+ *
+ * A backend implements:
+ *   initialize()                 - connect / load
+ *   ensureSchema()               - create sheets, tables or files if missing
+ *   appendEvent(event)           - append an EventRecord to the raw log
+ *   getEvents(date)              - EventRecords for a work date
+ *   getEventsBetween(from, to)   - EventRecords with from <= date <= to, in log order
+ *   upsertDailySummary(summary)  - insert or replace a SummaryRecord
+ *   upsertDailySummaries(summaries) - the same for many SummaryRecords in one write
+ *   getDailySummaries(from, to)  - SummaryRecords with from <= date <= to
+ *   replaceRollup(kind, period, rows) - replace the 'weekly' / 'monthly' RollupRecords of a period
+ *   migrateRecords(kind, mapFn)  - rewrite every 'events' / 'dailySummary' record in place, deleting those
+ *                                  mapped to null; returns how many changed (migrations only)
+ *   appendCorrection(entry)      - append a CorrectionRecord to the corrections audit log
+ *   getCorrections(from, to)     - CorrectionRecords with from <= date <= to, in log order
+ *   checkHealth()                - throw if the backend cannot be reached (GET /health)
+ *
+ * Optionally, a backend shared by several instances implements:
+ *   onEventsChanged(listener)    - call listener([{ date, userId, team }]) when it finds events written elsewhere
+ *
+ * @typedef {object} EventRecord
+ * @property {string} date - Work date (YYYY-MM-DD)
+ * @property {string} time - Local time (HH:mm:ss) in the event's timezone
+ * @property {string} utcTime - The instant in UTC (ISO 8601)
+ * @property {string} timezone - IANA timezone the local date and time are in
+ * @property {string} userId - Slack user ID, the employee's identity
+ * @property {string} employeeName - Display name at the time of the event
+ * @property {string} channelName
+ * @property {string} keyword
+ * @property {string} source - 'slack' or 'manual'
+ * @property {string} actor - Who recorded a manual event
+ * @property {string} slackTs - Message the event belongs to
+ * @property {string} action - 'log', 'edit' (supersedes earlier revisions) or 'void'
+ * @property {string} revision - Revision ts; the latest revision of a message wins
+ * @property {string} team - Team of the channel the event was posted in
+ *
+ * @typedef {object} SummaryRecord
+ * @property {string} date
+ * @property {string} userId
+ * @property {string} employeeName - Latest display name, presentation only
+ * @property {string} entryTime - #entry
+ * @property {string} exitTime - #exit
+ * @property {string} totalHours - #exit - #entry
+ * @property {string} taskStartTime - #daily-task
+ * @property {string} taskEndTime - #daily-report
+ * @property {string} lunchDuration
+ * @property {string} breakDuration
+ * @property {number} breakCount
+ * @property {string} netWorkingHours - (taskEnd - taskStart) - lunch - breaks
+ * @property {string} team - One row per employee, team and date
+ * @property {string} flags - Comma-separated anomalies ("unclosed-break, multiple-lunches"), empty if none
+ * @property {string} requiredHours - Team's required day, "-" without a policy
+ * @property {string} shortfall - Required minus adjusted hours, "-" until the day is complete
+ * @property {string} overtime - Adjusted hours beyond the team's overtime threshold
+ * @property {string} adjustedHours - Net hours after minimum lunch and rounding
+ * @property {string} status - Present, Absent, Leave, Holiday, Weekend, WFH or Half-day
+ *
+ * @typedef {object} RollupRecord
+ * @property {string} period - "2026-W42" (weekly) or "2026-10" (monthly)
+ * @property {string} periodStart
+ * @property {string} periodEnd
+ * @property {string} userId
+ * @property {string} employeeName
+ * @property {number} daysPresent
+ * @property {string} totalNetHours
+ * @property {string} averageNetHours - per day present
+ * @property {string} totalLunch
+ * @property {string} totalBreak
+ * @property {number} lateDays
+ * @property {number} daysMissingExit
+ * @property {string} team
+ * @property {number} absentDays - Days by status (see daily_summary Status)
+ * @property {number} leaveDays
+ * @property {number} wfhDays
+ * @property {number} halfDays
+ * @property {number} holidays
+ *
+ * @typedef {object} CorrectionRecord
+ * One row per state change; the latest row of an id is the correction's current state.
+ * @property {string} id - Correction ID, shared by all rows of one correction
+ * @property {string} date - Work date the correction applies to
+ * @property {string} userId - Employee whose events are corrected
+ * @property {string} employeeName
+ * @property {string} team
+ * @property {string} type - 'add', 'void' or 'retime'
+ * @property {string} keyword - Keyword added, or of the event voided / retimed
+ * @property {string} time - New local time (add / retime)
+ * @property {string} timezone - Timezone of time
+ * @property {string} targetTs - Slack TS of the event voided / retimed
+ * @property {string} originalTime - Time of that event when the correction was requested
+ * @property {string} reason - Employee's explanation
+ * @property {string} status - 'requested', 'approved' or 'rejected'
+ * @property {string} actor - Slack user ID of the requester ('requested') or approver
+ * @property {string} recordedAt - When this row was written (UTC ISO 8601)
+ */
+
+// Column layouts, in sheet order. `empty` is written when a value is missing.
+const RAW_LOG_COLUMNS = [
+  { key: 'date', header: 'Date', empty: '-' },
+  { key: 'time', header: 'Time', empty: '-' },
+  { key: 'employeeName', header: 'Employee Name', empty: '-' },
+  { key: 'channelName', header: 'Channel Name', empty: '-' },
+  { key: 'keyword', header: 'Keyword', empty: '-' },
+  { key: 'source', header: 'Source', empty: 'slack' },
+  { key: 'actor', header: 'Actor', empty: '-' },
+  { key: 'slackTs', header: 'Slack TS', empty: '-' },
+  { key: 'action', header: 'Action', empty: 'log' },
+  { key: 'revision', header: 'Revision', empty: '-' },
+  { key: 'team', header: 'Team', empty: '-' },
+  { key: 'userId', header: 'User ID', empty: '-' },
+  { key: 'utcTime', header: 'UTC Time', empty: '-' },
+  { key: 'timezone', header: 'Timezone', empty: '-' }
+];
+
+const DAILY_SUMMARY_COLUMNS = [
+  { key: 'date', header: 'Date', empty: '-' },
+  { key: 'employeeName', header: 'Employee Name', empty: '-' },
+  { key: 'entryTime', header: 'Entry Time', empty: '-' },
+  { key: 'exitTime', header: 'Exit Time', empty: '-' },
+  { key: 'totalHours', header: 'Total Hours', empty: '0:00' },
+  { key: 'taskStartTime', header: 'Task Start', empty: '-' },
+  { key: 'taskEndTime', header: 'Task End', empty: '-' },
+  { key: 'lunchDuration', header: 'Lunch Duration', empty: '0:00' },
+  { key: 'breakDuration', header: 'Break Duration', empty: '0:00' },
+  { key: 'breakCount', header: 'Break Count', empty: 0 },
+  { key: 'netWorkingHours', header: 'Net Working Hours', empty: '0:00' },
+  { key: 'team', header: 'Team', empty: '-' },
+  { key: 'userId', header: 'User ID', empty: '-' },
+  { key: 'flags', header: 'Flags', empty: '-' },
+  { key: 'requiredHours', header: 'Required Hours', empty: '-' },
+  { key: 'shortfall', header: 'Shortfall', empty: '-' },
+  { key: 'overtime', header: 'Overtime', empty: '-' },
+  { key: 'adjustedHours', header: 'Adjusted Hours', empty: '0:00' },
+  { key: 'status', header: 'Status', empty: '-' }
+];
+
+const ROLLUP_COLUMNS = [
+  { key: 'period', header: 'Period', empty: '-' },
+  { key: 'periodStart', header: 'Period Start', empty: '-' },
+  { key: 'periodEnd', header: 'Period End', empty: '-' },
+  { key: 'employeeName', header: 'Employee Name', empty: '-' },
+  { key: 'daysPresent', header: 'Days Present', empty: 0 },
+  { key: 'totalNetHours', header: 'Total Net Hours', empty: '0:00' },
+  { key: 'averageNetHours', header: 'Average Net Hours', empty: '0:00' },
+  { key: 'totalLunch', header: 'Total Lunch', empty: '0:00' },
+  { key: 'totalBreak', header: 'Total Break', empty: '0:00' },
+  { key: 'lateDays', header: 'Late Days', empty: 0 },
+  { key: 'daysMissingExit', header: 'Days Missing Exit', empty: 0 },
+  { key: 'team', header: 'Team', empty: '-' },
+  { key: 'userId', header: 'User ID', empty: '-' },
+  { key: 'absentDays', header: 'Absent Days', empty: 0 },
+  { key: 'leaveDays', header: 'Leave Days', empty: 0 },
+  { key: 'wfhDays', header: 'WFH Days', empty: 0 },
+  { key: 'halfDays', header: 'Half Days', empty: 0 },
+  { key: 'holidays', header: 'Holidays', empty: 0 }
+];
+
+const CORRECTION_COLUMNS = [
+  { key: 'id', header: 'Correction ID', empty: '-' },
+  { key: 'date', header: 'Date', empty: '-' },
+  { key: 'userId', header: 'User ID', empty: '-' },
+  { key: 'employeeName', header: 'Employee Name', empty: '-' },
+  { key: 'team', header: 'Team', empty: '-' },
+  { key: 'type', header: 'Type', empty: '-' },
+  { key: 'keyword', header: 'Keyword', empty: '-' },
+  { key: 'time', header: 'Time', empty: '-' },
+  { key: 'timezone', header: 'Timezone', empty: '-' },
+  { key: 'targetTs', header: 'Target Slack TS', empty: '-' },
+  { key: 'originalTime', header: 'Original Time', empty: '-' },
+  { key: 'reason', header: 'Reason', empty: '-' },
+  { key: 'status', header: 'Status', empty: '-' },
+  { key: 'actor', header: 'Actor', empty: '-' },
+  { key: 'recordedAt', header: 'Recorded At', empty: '-' }
+];
+
+const ROLLUP_KINDS = ['weekly', 'monthly'];
+
+// Identity of a daily summary row
+function summaryKey(summary) {
+  return `${summary.date}|${summary.userId}|${summary.team}`;
+}
+
+function createStorage() {
+  const backend = process.env.STORAGE_BACKEND || 'sheets';
+
+  switch (backend) {
+    case 'sheets': {
+      const GoogleSheetsService = require('./googleSheets');
+      return new GoogleSheetsService();
+    }
+    case 'json': {
+      const JsonStorageService = require('./jsonStorage');
+      return new JsonStorageService();
+    }
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+}
+
+module.exports = {
+  RAW_LOG_COLUMNS,
+  DAILY_SUMMARY_COLUMNS,
+  ROLLUP_COLUMNS,
+  CORRECTION_COLUMNS,
+  ROLLUP_KINDS,
+  summaryKey,
+  createStorage
+};
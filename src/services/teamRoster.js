@@ -0,0 +1,79 @@
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'team-roster' });
+
+const MEMBERS_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Who is in each team: the human members of the team's channels.
+ * Shared by the alert scheduler and the calendar (status rows for people
+ * who posted nothing). Membership changes rarely, so it is refetched at most hourly.
+ */
+class TeamRoster {
+  constructor(slackClient, directory) {
+    this.slackClient = slackClient;
+    this.directory = directory;
+    this.membersCache = new Map();
+  }
+
+  // [{ userId, employeeName, timezone }]
+  async getMembers(team) {
+    const cached = this.membersCache.get(team.name);
+    if (cached && Date.now() - cached.fetchedAt < MEMBERS_TTL_MS) {
+      return cached.members;
+    }
+
+    const members = await this.fetchMembers(team);
+    this.membersCache.set(team.name, { members, fetchedAt: Date.now() });
+    return members;
+  }
+
+  // Human members of the team's channels
+  async fetchMembers(team) {
+    const userIds = new Set();
+
+    for (const channel of team.channels) {
+      const channelId = await this.resolveChannelId(channel);
+      if (!channelId) {
+        log.warn('Team channel not found', { team: team.name, channel });
+        continue;
+      }
+
+      let cursor;
+      do {
+        const response = await this.slackClient.conversations.members({ channel: channelId, cursor, limit: 200 });
+        response.members.forEach(member => userIds.add(member));
+        cursor = response.response_metadata && response.response_metadata.next_cursor;
+      } while (cursor);
+    }
+
+    const members = [];
+    for (const userId of userIds) {
+      const user = await this.directory.getUser(userId);
+      if (user.is_bot || user.deleted || userId === 'USLACKBOT') {
+        continue;
+      }
+      members.push({
+        userId,
+        employeeName: user.real_name || user.name,
+        timezone: user.tz
+      });
+    }
+
+    return members;
+  }
+
+  isChannelId(channel) {
+    return /^[CG][A-Z0-9]{6,}$/.test(channel);
+  }
+
+  // Accepts a channel ID or name; names are resolved through the cached conversations.list
+  async resolveChannelId(channel) {
+    if (this.isChannelId(channel)) {
+      return channel;
+    }
+    return this.directory.findChannelId(channel);
+  }
+}
+
+module.exports = TeamRoster;
@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+
+/**
+ * Constant-time string comparison for secrets (tokens, passwords, signatures).
+ * crypto.timingSafeEqual throws on inputs of different lengths, so those are
+ * compared first and simply do not match.
+ * @param {string} expected - The known secret
+ * @param {string} provided - What the request sent
+ * @returns {boolean} - Whether they are equal
+ */
+function safeEqual(expected, provided) {
+  const expectedBuffer = Buffer.from(String(expected));
+  const providedBuffer = Buffer.from(String(provided));
+  return providedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+}
+
+module.exports = {
+  safeEqual
+};
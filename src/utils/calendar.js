@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'calendar' });
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../../config/holidays.json');
+
+// Day statuses written to daily_summary
+const STATUSES = {
+  PRESENT: 'Present',
+  ABSENT: 'Absent',
+  LEAVE: 'Leave',
+  HOLIDAY: 'Holiday',
+  WEEKEND: 'Weekend',
+  WFH: 'WFH',
+  HALF_DAY: 'Half-day'
+};
+
+// Statuses that count as a worked day
+const WORKING_STATUSES = [STATUSES.PRESENT, STATUSES.WFH, STATUSES.HALF_DAY];
+
+let cachedHolidays = null;
+
+/**
+ * Unescape an ICS text value ("New Year\, Day" → "New Year, Day")
+ * @param {string} value - Raw property value
+ * @returns {string} - Text
+ */
+function unescapeIcsText(value) {
+  return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+}
+
+/**
+ * Parse the all-day (or dated) events of an ICS calendar into holidays.
+ * All-day DTEND is exclusive, so a 3-day event lists three dates.
+ * @param {string} content - ICS file content
+ * @returns {object[]} - [{ date: "YYYY-MM-DD", name }]
+ */
+function parseIcs(content) {
+  // Long lines are folded onto continuation lines starting with a space or tab
+  const lines = content.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const holidays = [];
+  let event = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (event && event.start) {
+        const start = moment(event.start.slice(0, 8), 'YYYYMMDD');
+        let end = event.end ? moment(event.end.slice(0, 8), 'YYYYMMDD') : start.clone().add(1, 'day');
+        // A timed event ending at midnight does not cover that day; other timed ends do
+        if (event.end && event.end.length > 8 && !/T000000/.test(event.end)) {
+          end.add(1, 'day');
+        }
+        if (!end.isAfter(start)) {
+          end = start.clone().add(1, 'day');
+        }
+
+        for (const day = start.clone(); day.isBefore(end); day.add(1, 'day')) {
+          holidays.push({ date: day.format('YYYY-MM-DD'), name: event.name || 'Holiday' });
+        }
+      }
+      event = null;
+      continue;
+    }
+    if (!event) {
+      continue;
+    }
+
+    const separator = line.indexOf(':');
+    if (separator < 0) {
+      continue;
+    }
+    const name = line.slice(0, separator).split(';')[0].toUpperCase();
+    const value = line.slice(separator + 1);
+
+    if (name === 'DTSTART') {
+      event.start = value.trim();
+    } else if (name === 'DTEND') {
+      event.end = value.trim();
+    } else if (name === 'SUMMARY') {
+      event.name = unescapeIcsText(value);
+    }
+  }
+
+  return holidays;
+}
+
+/**
+ * Load the holiday calendar: dates listed in config/holidays.json plus the
+ * ICS files it references (cached after first read). Entries can be limited
+ * to some teams with a "teams" list.
+ * @returns {object[]} - [{ date, name, teams: string[]|null }]
+ */
+function loadHolidays() {
+  if (cachedHolidays) {
+    return cachedHolidays;
+  }
+
+  const configPath = process.env.HOLIDAYS_CONFIG_PATH || DEFAULT_CONFIG_PATH;
+  let config = { holidays: [], ics: [] };
+
+  if (fs.existsSync(configPath)) {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  }
+
+  const holidays = (config.holidays || []).map(holiday => ({
+    date: holiday.date,
+    name: holiday.name || 'Holiday',
+    teams: holiday.teams || null
+  }));
+
+  for (const calendar of config.ics || []) {
+    const icsPath = path.resolve(path.dirname(configPath), calendar.path);
+    if (!fs.existsSync(icsPath)) {
+      log.warn('Holiday calendar not found', { path: icsPath });
+      continue;
+    }
+    parseIcs(fs.readFileSync(icsPath, 'utf8')).forEach(holiday => {
+      holidays.push({ ...holiday, teams: calendar.teams || null });
+    });
+  }
+
+  cachedHolidays = holidays;
+  return cachedHolidays;
+}
+
+/**
+ * The holiday a team has on a date, if any
+ * @param {string} date - Work date (YYYY-MM-DD)
+ * @param {string} [teamName] - Team name; holidays without a team list apply to everyone
+ * @returns {object|null} - { date, name, teams } or null
+ */
+function getHoliday(date, teamName) {
+  return loadHolidays().find(holiday =>
+    holiday.date === date && (!holiday.teams || holiday.teams.includes(teamName))) || null;
+}
+
+/**
+ * Whether a date is one of the team's work days (ISO weekdays in workDays)
+ * @param {string} date - Work date (YYYY-MM-DD)
+ * @param {object} settings - Team config (or defaults)
+ * @returns {boolean}
+ */
+function isWorkDay(date, settings) {
+  return settings.workDays.includes(moment(date, 'YYYY-MM-DD').isoWeekday());
+}
+
+module.exports = {
+  STATUSES,
+  WORKING_STATUSES,
+  parseIcs,
+  loadHolidays,
+  getHoliday,
+  isWorkDay
+};
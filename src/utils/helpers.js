@@ -1,64 +1,78 @@
 const moment = require('moment-timezone');
 
-// Keywords configuration
-const KEYWORDS = {
-  // Total hours tracking (office entry/exit)
-  ENTRY: '#entry',
-  EXIT: '#exit',
-  
-  // Working hours tracking (actual work start/end)
-  DAILY_TASK: '#daily-task',
-  DAILY_REPORT: '#daily-report',
-  
-  // Lunch tracking
-  LUNCH_START: '#lunchstart',
-  LUNCH_END: '#lunchend',
-  
-  // Break tracking (multiple allowed)
-  BREAK_START: '#breakstart',
-  BREAK_END: '#breakend'
-};
-
-// All keywords as an array for matching
-const ALL_KEYWORDS = Object.values(KEYWORDS);
-
-/**
- * Extract keyword from message text (case-insensitive)
- * @param {string} text - Message text
- * @returns {string|null} - Matched keyword or null
- */
-function extractKeyword(text) {
-  const lowerText = text.toLowerCase();
-  
-  for (const keyword of ALL_KEYWORDS) {
-    if (lowerText.includes(keyword)) {
-      return keyword;
-    }
-  }
-  
-  return null;
-}
+// Keywords come from the keyword registry (config/keywords.json)
+const { KEYWORDS, ALL_KEYWORDS, resolveKeyword, extractKeywords, isFinalReport } = require('./keywords');
 
 /**
- * Parse Slack timestamp to date and time
+ * Parse Slack timestamp to work date and time
+ * Events before the shift cutoff are attributed to the previous work day,
+ * e.g. with a 12:00 cutoff a 06:10 #daily-report closes last night's shift.
  * @param {string} ts - Slack timestamp (e.g., "1671234567.123456")
- * @returns {object} - { date: "YYYY-MM-DD", time: "HH:mm:ss" }
+ * @param {string} shiftCutoff - Work day cutoff (HH:mm), defaults to midnight
+ * @param {string} timezone - IANA timezone, defaults to TIMEZONE
+ * @returns {object} - { date: "YYYY-MM-DD", time: "HH:mm:ss", calendarDate: "YYYY-MM-DD", utc: ISO instant }
  */
-function parseSlackTimestamp(ts) {
-  const timezone = process.env.TIMEZONE || 'Asia/Kolkata';
+function parseSlackTimestamp(ts, shiftCutoff = '00:00', timezone = process.env.TIMEZONE || 'Asia/Kolkata') {
   const unixTimestamp = parseFloat(ts);
   const dateTime = moment.unix(unixTimestamp).tz(timezone);
+  const time = dateTime.format('HH:mm:ss');
+
+  const workDate = timeToMinutes(time) < timeToMinutes(shiftCutoff)
+    ? dateTime.clone().subtract(1, 'day')
+    : dateTime;
   
   return {
-    date: dateTime.format('YYYY-MM-DD'),
-    time: dateTime.format('HH:mm:ss')
+    date: workDate.format('YYYY-MM-DD'),
+    time,
+    calendarDate: dateTime.format('YYYY-MM-DD'),
+    utc: dateTime.clone().utc().format()
   };
 }
 
+/**
+ * Convert a work date and local time back to a UTC instant
+ * (the inverse of parseSlackTimestamp, e.g. for manual punches)
+ * @param {string} date - Work date (YYYY-MM-DD)
+ * @param {string} time - Local time (HH:mm:ss)
+ * @param {string} shiftCutoff - Work day cutoff (HH:mm)
+ * @param {string} timezone - IANA timezone
+ * @returns {string} - ISO instant in UTC
+ */
+function workDateTimeToUtc(date, time, shiftCutoff = '00:00', timezone = process.env.TIMEZONE || 'Asia/Kolkata') {
+  const dateTime = moment.tz(`${date} ${time}`, 'YYYY-MM-DD HH:mm:ss', timezone);
+
+  // Before the cutoff the event happened on the next calendar day
+  if (timeToMinutes(time) < timeToMinutes(shiftCutoff)) {
+    dateTime.add(1, 'day');
+  }
+
+  return dateTime.utc().format();
+}
+
+/**
+ * Current work date, honouring the shift cutoff
+ * @param {string} shiftCutoff - Work day cutoff (HH:mm)
+ * @param {string} timezone - IANA timezone, defaults to TIMEZONE
+ * @param {number} [now] - The instant to take as now (ms since the epoch, or a moment)
+ * @returns {string} - Work date (YYYY-MM-DD)
+ */
+function getCurrentWorkDate(shiftCutoff = '00:00', timezone, now = Date.now()) {
+  return parseSlackTimestamp(String(now.valueOf() / 1000), shiftCutoff, timezone).date;
+}
+
+/**
+ * Whether a value is a real calendar date written as YYYY-MM-DD (e.g. not 2026-02-30)
+ * @param {*} value - Value to check, e.g. a query parameter
+ * @returns {boolean}
+ */
+function isValidDate(value) {
+  return typeof value === 'string' && moment(value, 'YYYY-MM-DD', true).isValid();
+}
+
 /**
  * Convert time string (HH:mm:ss or HH:mm) to minutes since midnight
  * @param {string} timeStr - Time string
- * @returns {number} - Minutes since midnight
+ * @returns {number} - Minutes since midnight, seconds as a fraction (09:00:30 → 540.5)
  */
 function timeToMinutes(timeStr) {
   if (!timeStr || timeStr === '-') {
@@ -68,8 +82,20 @@ function timeToMinutes(timeStr) {
   const parts = timeStr.split(':');
   const hours = parseInt(parts[0], 10);
   const minutes = parseInt(parts[1], 10);
+  const seconds = parseInt(parts[2], 10) || 0;
   
-  return hours * 60 + minutes;
+  return hours * 60 + minutes + seconds / 60;
+}
+
+/**
+ * Convert time string to minutes since the start of the shift
+ * @param {string} timeStr - Time string (HH:mm:ss or HH:mm)
+ * @param {string} shiftCutoff - Work day cutoff (HH:mm)
+ * @returns {number} - Minutes since the shift cutoff
+ */
+function timeToShiftMinutes(timeStr, shiftCutoff = '00:00') {
+  const minutes = timeToMinutes(timeStr) - timeToMinutes(shiftCutoff);
+  return (minutes + 24 * 60) % (24 * 60);
 }
 
 /**
@@ -84,6 +110,36 @@ function minutesToTimeString(totalMinutes) {
   return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
 }
 
+/**
+ * Round a duration to a policy increment
+ * @param {number} minutes - Duration in minutes
+ * @param {number} increment - Increment in minutes (e.g. 15); 0 or empty to keep as is
+ * @param {string} mode - "nearest" (default), "down" or "up"
+ * @returns {number} - Rounded minutes
+ */
+function roundMinutes(minutes, increment, mode = 'nearest') {
+  if (!increment || increment <= 0) {
+    return minutes;
+  }
+
+  const round = { down: Math.floor, up: Math.ceil }[mode] || Math.round;
+  return round(minutes / increment) * increment;
+}
+
+/**
+ * Convert a formatted duration back to minutes
+ * @param {string} durationStr - Duration in H:MM format (e.g. "8:30")
+ * @returns {number} - Total minutes
+ */
+function durationToMinutes(durationStr) {
+  if (!durationStr || durationStr === '-') {
+    return 0;
+  }
+
+  const [hours, minutes] = String(durationStr).split(':').map(part => parseInt(part, 10) || 0);
+  return hours * 60 + minutes;
+}
+
 /**
  * Calculate duration between two times
  * @param {string} startTime - Start time (HH:mm:ss)
@@ -98,16 +154,24 @@ function calculateDuration(startTime, endTime) {
     return endMinutes - startMinutes;
   }
   
-  // Handle overnight (shouldn't happen in normal cases)
-  return 0;
+  // Overnight: end time is on the next calendar day
+  return endMinutes + 24 * 60 - startMinutes;
 }
 
 module.exports = {
   KEYWORDS,
   ALL_KEYWORDS,
-  extractKeyword,
+  resolveKeyword,
+  extractKeywords,
+  isFinalReport,
   parseSlackTimestamp,
+  workDateTimeToUtc,
+  getCurrentWorkDate,
+  isValidDate,
   timeToMinutes,
+  timeToShiftMinutes,
   minutesToTimeString,
+  roundMinutes,
+  durationToMinutes,
   calculateDuration
 };
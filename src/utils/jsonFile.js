@@ -0,0 +1,26 @@
+const fs = require('fs');
+
+/**
+ * Atomic, serialized writes of one JSON file.
+ * Each write goes to a temp file that is then renamed over the target, so a crash
+ * never leaves a truncated file; writes run one after another, so concurrent saves
+ * never interleave partial files. A failed write does not stop the next one.
+ * @param {string} filePath - File to write
+ * @returns {function(object): Promise<void>} - write(data), resolves once data is on disk
+ */
+function createJsonFileWriter(filePath) {
+  let chain = Promise.resolve();
+
+  return data => {
+    chain = chain.catch(() => {}).then(async () => {
+      const tmpPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+      await fs.promises.rename(tmpPath, filePath);
+    });
+    return chain;
+  };
+}
+
+module.exports = {
+  createJsonFileWriter
+};
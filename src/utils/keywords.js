@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'keywords' });
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../../config/keywords.json');
+
+// Event types the attendance calculations depend on
+const BUILTIN_EVENT_TYPES = [
+  { type: 'ENTRY', keyword: '#entry' },               // Total hours tracking (office entry/exit)
+  { type: 'EXIT', keyword: '#exit' },
+  { type: 'DAILY_TASK', keyword: '#daily-task' },     // Working hours tracking (actual work start/end)
+  { type: 'DAILY_REPORT', keyword: '#daily-report' },
+  { type: 'LUNCH_START', keyword: '#lunchstart' },    // Lunch tracking
+  { type: 'LUNCH_END', keyword: '#lunchend' },
+  { type: 'BREAK_START', keyword: '#breakstart' },    // Break tracking (multiple allowed)
+  { type: 'BREAK_END', keyword: '#breakend' },
+  { type: 'LEAVE', keyword: '#leave' },               // Day status (see calendar statuses)
+  { type: 'WFH', keyword: '#wfh' },
+  { type: 'HALF_DAY', keyword: '#halfday' }
+];
+
+// Hashtags (#word) and emoji shortcodes (:word:) as whole tokens
+const TOKEN_PATTERN = /#[a-z0-9_-]+|:[a-z0-9_+-]+:/g;
+
+/**
+ * Load the keyword registry: event types, their aliases and per-channel sets.
+ * Built-in types can be given extra aliases (or a different keyword);
+ * unknown types are custom events that are logged but not used in calculations.
+ * @returns {object} - { eventTypes, channels, keywords, tokens }
+ */
+function loadKeywordRegistry() {
+  const configPath = process.env.KEYWORDS_CONFIG_PATH || DEFAULT_CONFIG_PATH;
+  let config = {};
+
+  if (fs.existsSync(configPath)) {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } else {
+    log.warn('Keyword config not found, using built-in keywords', { path: configPath });
+  }
+
+  const eventTypes = BUILTIN_EVENT_TYPES.map(builtin => ({ ...builtin, aliases: [] }));
+  for (const entry of config.eventTypes || []) {
+    const existing = eventTypes.find(eventType => eventType.type === entry.type);
+    if (existing) {
+      Object.assign(existing, entry);
+    } else {
+      eventTypes.push({ aliases: [], ...entry });
+    }
+  }
+
+  // TYPE -> canonical keyword, and every spelling -> canonical keyword
+  const keywords = {};
+  const tokens = new Map();
+  for (const eventType of eventTypes) {
+    const keyword = eventType.keyword.toLowerCase();
+    keywords[eventType.type] = keyword;
+    for (const token of [keyword, ...eventType.aliases.map(alias => alias.toLowerCase())]) {
+      if (tokens.has(token) && tokens.get(token) !== keyword) {
+        throw new Error(`Keyword config: "${token}" is used by more than one event type`);
+      }
+      tokens.set(token, keyword);
+    }
+  }
+
+  return {
+    eventTypes,
+    channels: config.channels || {},
+    keywords,
+    tokens
+  };
+}
+
+const registry = loadKeywordRegistry();
+
+const KEYWORDS = registry.keywords;
+
+// All canonical keywords as an array for matching
+const ALL_KEYWORDS = Object.values(KEYWORDS);
+
+/**
+ * Map a keyword or alias to its canonical keyword
+ * @param {string} token - e.g. "#brb", ":hamburger:", "#lunchstart"
+ * @returns {string|null} - Canonical keyword or null
+ */
+function resolveKeyword(token) {
+  return registry.tokens.get(String(token).toLowerCase()) || null;
+}
+
+/**
+ * Canonical keywords a channel accepts (all of them unless the config lists the channel)
+ * @param {string} channelName - Slack channel name (without #)
+ * @returns {string[]} - Canonical keywords
+ */
+function getChannelKeywords(channelName) {
+  const types = registry.channels[channelName];
+  if (!types) {
+    return ALL_KEYWORDS;
+  }
+  return types.map(type => KEYWORDS[type]).filter(Boolean);
+}
+
+/**
+ * Extract all keywords from message text, in order (case-insensitive, whole tokens only,
+ * so "#breakstarted" does not match "#breakstart")
+ * @param {string} text - Message text
+ * @param {string} [channelName] - Only keep keywords this channel accepts
+ * @returns {string[]} - Canonical keywords, each at most once
+ */
+function extractKeywords(text, channelName) {
+  const matches = String(text || '').toLowerCase().match(TOKEN_PATTERN) || [];
+  const allowed = channelName ? getChannelKeywords(channelName) : ALL_KEYWORDS;
+  const keywords = [];
+
+  for (const token of matches) {
+    const keyword = resolveKeyword(token);
+    if (!keyword || keywords.includes(keyword)) {
+      continue;
+    }
+    if (!allowed.includes(keyword)) {
+      log.debug('Keyword not accepted in channel', { keyword, channelName });
+      continue;
+    }
+    keywords.push(keyword);
+  }
+
+  return keywords;
+}
+
+/**
+ * Whether a keyword ends the working day, which sends the day summary DM
+ * @param {string} keyword - Canonical keyword
+ * @returns {boolean}
+ */
+function isFinalReport(keyword) {
+  return keyword === KEYWORDS.EXIT || keyword === KEYWORDS.DAILY_REPORT;
+}
+
+module.exports = {
+  KEYWORDS,
+  ALL_KEYWORDS,
+  loadKeywordRegistry,
+  resolveKeyword,
+  getChannelKeywords,
+  extractKeywords,
+  isFinalReport
+};
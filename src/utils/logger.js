@@ -0,0 +1,119 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Message bodies and anything that can carry them are never logged
+const REDACTED_KEYS = ['text', 'blocks', 'attachments', 'files', 'reason', 'details'];
+const REDACTED = '[redacted]';
+const MAX_DEPTH = 6;
+
+const context = new AsyncLocalStorage();
+
+function threshold() {
+  return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+}
+
+/**
+ * Copy a value for logging: message bodies replaced by "[redacted]",
+ * errors reduced to name / message / code / stack
+ * @param {*} value - Anything passed as a log field
+ * @param {number} [depth] - Current nesting depth
+ * @returns {*} - JSON-safe copy
+ */
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code ? { code: value.code } : {}),
+      ...(value.data && value.data.error ? { slackError: value.data.error } : {}),
+      stack: value.stack
+    };
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = REDACTED_KEYS.includes(key) && item !== undefined && item !== null ? REDACTED : redact(item, depth + 1);
+  }
+  return copy;
+}
+
+function format(entry) {
+  if (process.env.LOG_FORMAT !== 'pretty') {
+    return JSON.stringify(entry);
+  }
+
+  // Human-readable lines for local runs and the CLI
+  const { time, level, msg, ...fields } = entry;
+  const rest = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${rest ? ` ${rest}` : ''}`;
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < threshold()) {
+    return;
+  }
+
+  // A bare error as the fields argument: logger.error('Failed', error)
+  const extra = fields instanceof Error ? { error: fields } : fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(context.getStore() || {}),
+    ...bindings,
+    ...redact(extra || {})
+  };
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${format(entry)}\n`);
+}
+
+/**
+ * Structured logger: one JSON object per line with time, level, msg, the
+ * current request / event context and the given fields.
+ * LOG_LEVEL sets the minimum level (debug, info, warn, error; default info),
+ * LOG_FORMAT=pretty prints plain lines instead of JSON.
+ * @param {object} [bindings] - Fields added to every line
+ * @returns {object} - { debug, info, warn, error, child }
+ */
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+    child: extra => createLogger({ ...bindings, ...extra })
+  };
+}
+
+/**
+ * Run a function with fields (requestId, eventId, jobId...) added to every
+ * log line written while it runs, including in awaited calls
+ * @param {object} fields - Context fields
+ * @param {Function} fn - Work to run
+ * @returns {*} - fn's return value
+ */
+function runWithContext(fields, fn) {
+  return context.run({ ...(context.getStore() || {}), ...fields }, fn);
+}
+
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  createLogger,
+  runWithContext,
+  redact
+};
@@ -0,0 +1,147 @@
+// Latency buckets in seconds, from cache-fast to a slow Google / Slack round trip
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = [];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.values = new Map();
+    registry.push(this);
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = labelKey(labels);
+    const current = this.values.get(key);
+    this.values.set(key, { labels, value: (current ? current.value : 0) + amount });
+  }
+
+  lines() {
+    return [...this.values.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+// Value read when /metrics is scraped (queue length, uptime...); `collect` may be set later by its owner
+class Gauge {
+  constructor(name, help, collect = null) {
+    this.name = name;
+    this.help = help;
+    this.type = 'gauge';
+    this.collect = collect;
+    registry.push(this);
+  }
+
+  lines() {
+    if (!this.collect) {
+      return [];
+    }
+    const value = this.collect();
+    const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+    return samples
+      .filter(sample => typeof sample.value === 'number')
+      .map(sample => `${this.name}${formatLabels(sample.labels)} ${sample.value}`);
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.buckets = buckets;
+    this.values = new Map();
+    registry.push(this);
+  }
+
+  observe(labels, seconds) {
+    const key = labelKey(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+    const series = this.values.get(key);
+    this.buckets.forEach((bound, index) => {
+      if (seconds <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += seconds;
+    series.count++;
+  }
+
+  // Time an async call, observing it whether it resolves or throws
+  async time(labels, fn) {
+    const start = process.hrtime.bigint();
+    try {
+      return await fn();
+    } finally {
+      this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  }
+
+  lines() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * All registered metrics in the Prometheus text exposition format
+ * @returns {string} - Body for GET /metrics
+ */
+function renderMetrics() {
+  return registry.map(metric => [
+    `# HELP ${metric.name} ${metric.help}`,
+    `# TYPE ${metric.name} ${metric.type}`,
+    ...metric.lines()
+  ].join('\n')).join('\n') + '\n';
+}
+
+// Application metrics
+const metrics = {
+  eventsReceived: new Counter('attendance_slack_events_received_total', 'Slack events received on /slack/events, by event type'),
+  keywordsMatched: new Counter('attendance_keywords_matched_total', 'Attendance keywords recorded, by keyword'),
+  duplicatesSkipped: new Counter('attendance_duplicates_skipped_total', 'Duplicates skipped: Slack redeliveries (delivery) and already recorded keywords (event)'),
+  storageLatency: new Histogram('attendance_storage_request_duration_seconds', 'Google Sheets API call latency, by operation'),
+  storageErrors: new Counter('attendance_storage_errors_total', 'Failed Google Sheets API calls, by operation'),
+  slackLatency: new Histogram('attendance_slack_api_duration_seconds', 'Slack Web API call latency, by method'),
+  slackErrors: new Counter('attendance_slack_api_errors_total', 'Failed Slack Web API calls, by method'),
+  slackRateLimited: new Counter('attendance_slack_rate_limited_total', 'Slack Web API calls that got a 429 and waited for Retry-After, by method'),
+  slackCacheLookups: new Counter('attendance_slack_cache_lookups_total', 'Slack user / channel metadata lookups, by kind and result (hit, miss, stale)'),
+  errors: new Counter('attendance_errors_total', 'Errors while processing, by component'),
+  jobs: new Gauge('attendance_queued_jobs', 'Jobs in the durable queue, by state (pending, dead)'),
+  uptime: new Gauge('attendance_process_uptime_seconds', 'Seconds since the process started', () => process.uptime())
+};
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  renderMetrics,
+  metrics
+};
@@ -0,0 +1,22 @@
+/**
+ * Reply to a slash command or interaction through its response_url
+ * (uses the global fetch, Node 18+)
+ * @param {string} responseUrl - response_url from the Slack payload
+ * @param {object} message - Message body, e.g. { response_type: 'ephemeral', text }
+ * @returns {Promise<void>} - Rejects when Slack does not accept the reply
+ */
+async function respond(responseUrl, message) {
+  const response = await fetch(responseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(message)
+  });
+
+  if (!response.ok) {
+    throw new Error(`response_url returned ${response.status}`);
+  }
+}
+
+module.exports = {
+  respond
+};
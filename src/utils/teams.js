@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'teams' });
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../../config/teams.json');
+
+// Built-in settings, overridden by "defaults" and then by each team
+const BUILTIN_DEFAULTS = {
+  timezone: process.env.TIMEZONE || 'Asia/Kolkata',
+  shiftCutoff: '00:00',
+  graceMinutes: 15,
+  workDays: [1, 2, 3, 4, 5], // ISO weekdays, Monday = 1
+  autoCloseBreakMinutes: null, // Count an unclosed #breakstart as this many minutes (off by default)
+  autoCloseLunchMinutes: null, // Same for a #lunchstart without #lunchend
+  requiredHours: null,         // Work policy, see AttendanceService.applyPolicy
+  overtimeAfterHours: null,
+  minimumLunchMinutes: 0,
+  roundingMinutes: 0,
+  roundingMode: 'nearest',     // "nearest", "down" or "up"
+  approvers: []                // Slack user IDs who approve corrections
+};
+
+let cachedConfig = null;
+
+/**
+ * Load the team configuration file (cached after first read)
+ * @returns {object} - { defaults, teams }
+ */
+function loadTeamsConfig() {
+  if (cachedConfig) {
+    return cachedConfig;
+  }
+
+  const configPath = process.env.TEAMS_CONFIG_PATH || DEFAULT_CONFIG_PATH;
+  let config = { defaults: {}, teams: [] };
+
+  if (fs.existsSync(configPath)) {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } else {
+    log.warn('Team config not found, using defaults', { path: configPath });
+  }
+
+  const defaults = { ...BUILTIN_DEFAULTS, ...(config.defaults || {}) };
+
+  cachedConfig = {
+    defaults,
+    teams: (config.teams || []).map(team => ({ ...defaults, ...team }))
+  };
+
+  return cachedConfig;
+}
+
+/**
+ * All configured teams, with defaults applied
+ * @returns {object[]} - Team configs
+ */
+function getTeams() {
+  return loadTeamsConfig().teams;
+}
+
+/**
+ * Find the team a Slack channel belongs to. Teams list channel IDs
+ * (preferred, survive renames) or names; the first matching team wins.
+ * @param {string} channelId - Slack channel ID (e.g. "C0123ABCD")
+ * @param {string} [channelName] - Slack channel name (without #)
+ * @returns {object|null} - Team config or null if the channel is not monitored
+ */
+function getTeamForChannel(channelId, channelName) {
+  const { teams } = loadTeamsConfig();
+
+  return teams.find(team => (team.channels || []).includes(channelId)) ||
+    (channelName && teams.find(team => (team.channels || []).includes(channelName))) ||
+    null;
+}
+
+/**
+ * Find a team by name
+ * @param {string} name - Team name
+ * @returns {object|null} - Team config or null
+ */
+function getTeam(name) {
+  return getTeams().find(team => team.name === name) || null;
+}
+
+/**
+ * Settings for a team, falling back to the defaults for unknown teams
+ * (e.g. events logged before the team existed)
+ * @param {string} name - Team name
+ * @returns {object} - Team config or defaults
+ */
+function getTeamSettings(name) {
+  return getTeam(name) || loadTeamsConfig().defaults;
+}
+
+/**
+ * Timezone for an employee's events: a team override wins, then the user's
+ * Slack timezone (users.info "tz"), then the team's timezone
+ * @param {object} team - Team config (or defaults)
+ * @param {string} [userTimezone] - IANA timezone from the Slack profile
+ * @returns {string} - IANA timezone
+ */
+function resolveTimezone(team, userTimezone) {
+  return team.timezoneOverride || userTimezone || team.timezone;
+}
+
+module.exports = {
+  loadTeamsConfig,
+  getTeams,
+  getTeam,
+  getTeamForChannel,
+  getTeamSettings,
+  resolveTimezone
+};
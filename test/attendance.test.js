@@ -0,0 +1,138 @@
+const { keywordEvent, createAttendance } = require('./helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const days = require('./fixtures/days');
+
+async function playDay(day) {
+  const context = await createAttendance();
+  const options = { teamName: day.team || 'team-309' };
+  const deliveries = [...day.posts, ...(day.redeliver || []).map(index => day.posts[index])];
+  const results = [];
+
+  for (const [time, keyword] of deliveries) {
+    results.push(await context.attendanceService.logEvent(keywordEvent(day.date, time, keyword, options)));
+  }
+
+  return { ...context, results };
+}
+
+describe('AttendanceService fixture days', () => {
+  for (const day of days) {
+    it(day.name, async () => {
+      const { storage, sheetsApi, results } = await playDay(day);
+
+      assert.equal(sheetsApi.rows('raw_logs').length, day.rawRows);
+      assert.equal(results.filter(result => result.logged).length, day.rawRows);
+
+      const summaries = await storage.getDailySummaries(day.date, day.date);
+      assert.equal(summaries.length, 1);
+      assert.equal(sheetsApi.rows('daily_summary').length, 1);
+
+      const [summary] = summaries;
+      for (const [field, value] of Object.entries(day.expected)) {
+        assert.equal(summary[field], value, `${field}`);
+      }
+    });
+  }
+});
+
+describe('AttendanceService.logEvent', () => {
+  it('reports redeliveries as duplicates and still returns the summary', async () => {
+    const { attendanceService } = await createAttendance();
+    const event = keywordEvent('2026-10-19', '09:30:00', '#daily-task');
+
+    const first = await attendanceService.logEvent(event);
+    const second = await attendanceService.logEvent(event);
+
+    assert.equal(first.logged, true);
+    assert.deepEqual({ logged: second.logged, reason: second.reason }, { logged: false, reason: 'duplicate' });
+    assert.equal(second.summary.taskStartTime, '09:30:00');
+  });
+
+  it('marks #daily-report and #exit as the final report of the day', async () => {
+    const { attendanceService } = await createAttendance();
+
+    const task = await attendanceService.logEvent(keywordEvent('2026-10-19', '09:30:00', '#daily-task'));
+    const report = await attendanceService.logEvent(keywordEvent('2026-10-19', '18:30:00', '#daily-report'));
+
+    assert.equal(task.isFinalReport, false);
+    assert.equal(report.isFinalReport, true);
+  });
+
+  it('releases the dedup claim when the raw_logs append fails, so a retry is recorded', async () => {
+    const { attendanceService, sheetsApi } = await createAttendance();
+    const event = keywordEvent('2026-10-19', '09:30:00', '#daily-task');
+    await attendanceService.storage.getEvents('2026-10-19'); // Load the cache first
+
+    sheetsApi.failOnce('values.append');
+    await assert.rejects(attendanceService.logEvent(event), /Quota exceeded/);
+
+    const retry = await attendanceService.logEvent(event);
+    assert.equal(retry.logged, true);
+    assert.equal(sheetsApi.rows('raw_logs').length, 1);
+  });
+});
+
+describe('AttendanceService edits and deletions', () => {
+  it('replaces the keywords of an edited message', async () => {
+    const { attendanceService, storage } = await createAttendance();
+    const date = '2026-10-19';
+    await attendanceService.logEvent(keywordEvent(date, '09:30:00', '#daily-task'));
+    const breakStart = keywordEvent(date, '11:00:00', '#breakstart');
+    await attendanceService.logEvent(breakStart);
+
+    await attendanceService.reviseMessage({ ...breakStart, keywords: ['#lunchstart'], revision: '1792392000.000200' });
+    await attendanceService.logEvent(keywordEvent(date, '11:45:00', '#lunchend'));
+
+    const [summary] = await storage.getDailySummaries(date, date);
+    assert.equal(summary.lunchDuration, '0:45');
+    assert.equal(summary.breakCount, '0');
+  });
+
+  it('voids every event of a deleted message', async () => {
+    const { attendanceService, sheetsApi } = await createAttendance();
+    const date = '2026-10-19';
+    await attendanceService.logEvent(keywordEvent(date, '09:30:00', '#daily-task'));
+    const breakStart = keywordEvent(date, '11:00:00', '#breakstart');
+    await attendanceService.logEvent(breakStart);
+
+    await attendanceService.voidMessage({ date, slackTs: breakStart.slackTs, revision: '1792392000.000200' });
+
+    const effective = attendanceService.getEffectiveEvents(await attendanceService.storage.getEvents(date));
+    assert.deepEqual(effective.map(event => event.keyword), ['#daily-task']);
+    // raw_logs stays append-only: the void is a third row
+    assert.equal(sheetsApi.rows('raw_logs').length, 3);
+  });
+
+  it('resets the summary when the only event of the day is voided', async () => {
+    const { attendanceService, storage, sheetsApi } = await createAttendance();
+    const date = '2026-10-19';
+    const entry = keywordEvent(date, '09:30:00', '#entry');
+    await attendanceService.logEvent(entry);
+
+    await attendanceService.voidMessage({ date, slackTs: entry.slackTs, revision: '1792392000.000200' });
+
+    const summaries = await storage.getDailySummaries(date, date);
+    assert.equal(summaries.length, 1);
+    assert.deepEqual(
+      { status: summaries[0].status, entryTime: summaries[0].entryTime, netWorkingHours: summaries[0].netWorkingHours },
+      { status: 'Absent', entryTime: '-', netWorkingHours: '0:00' }
+    );
+    assert.equal(sheetsApi.rows('daily_summary').length, 1);
+  });
+});
+
+describe('AttendanceService presence', () => {
+  it('follows the keywords and flags impossible transitions', async () => {
+    const { attendanceService } = await createAttendance();
+    const date = '2026-10-19';
+    for (const [time, keyword] of [['09:30:00', '#daily-task'], ['11:00:00', '#breakstart'], ['11:05:00', '#lunchstart']]) {
+      await attendanceService.logEvent(keywordEvent(date, time, keyword));
+    }
+
+    const presence = attendanceService.replayPresence(await attendanceService.getUserEvents(date, 'U1', 'team-309'));
+    assert.equal(presence.state, 'break');
+    assert.equal(presence.since, '11:00:00');
+    assert.deepEqual(presence.flags, ['#lunchstart at 11:05:00 while break']);
+  });
+});
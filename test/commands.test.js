@@ -0,0 +1,83 @@
+const { createContext, withServer, signRequest } = require('./helpers');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const moment = require('moment-timezone');
+const { getCurrentWorkDate } = require('../src/utils/helpers');
+
+const TIMEZONE = 'Asia/Kolkata';
+
+describe('/attendance punch', () => {
+  let context;
+
+  beforeEach(async () => {
+    context = await createContext();
+  });
+
+  afterEach(() => {
+    context.cleanup();
+  });
+
+  // Run a slash command as U1 in the team channel and wait for the reply sent to response_url
+  async function command(text) {
+    const replies = [];
+    const responder = express().post('/respond', express.json(), (req, res) => {
+      replies.push(req.body.text);
+      res.send();
+    });
+
+    return withServer(responder, responseBase => withServer(context.app, async baseUrl => {
+      const body = new URLSearchParams({
+        command: '/attendance',
+        text,
+        user_id: 'U1',
+        channel_id: 'C0000309',
+        channel_name: 'team-309',
+        response_url: `${responseBase}/respond`
+      }).toString();
+
+      const response = await fetch(`${baseUrl}/slack/commands`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/x-www-form-urlencoded', ...signRequest(body) },
+        body
+      });
+      assert.equal(response.status, 200);
+
+      for (let attempt = 0; attempt < 100 && replies.length === 0; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      return replies[0];
+    }));
+  }
+
+  it('records a punch earlier today', async () => {
+    const today = getCurrentWorkDate('00:00', TIMEZONE);
+
+    const reply = await command('punch #entry 00:00');
+
+    assert.match(reply, new RegExp(`^Recorded #entry at 00:00 on ${today} \\(manual\\)`));
+    const [row] = context.sheetsApi.rows('raw_logs');
+    assert.deepEqual([row[0], row[4], row[5]], [today, '#entry', 'manual']);
+  });
+
+  it('rejects days before the previous work day', async () => {
+    const weekAgo = moment.tz(TIMEZONE).subtract(7, 'days').format('YYYY-MM-DD');
+
+    const reply = await command(`punch #exit 18:30 ${weekAgo}`);
+
+    assert.match(reply, /^Punches can only be recorded for today/);
+    assert.equal(context.sheetsApi.rows('raw_logs').length, 0);
+  });
+
+  it('rejects future dates and times', async t => {
+    const tomorrow = moment.tz(TIMEZONE).add(1, 'day').format('YYYY-MM-DD');
+    assert.match(await command(`punch #entry 09:30 ${tomorrow}`), /^Punches can only be recorded for today/);
+
+    if (moment.tz(TIMEZONE).format('HH:mm') >= '23:58') {
+      t.skip('too close to midnight for a later time today');
+      return;
+    }
+    assert.match(await command('punch #exit 23:59'), /still in the future/);
+    assert.equal(context.sheetsApi.rows('raw_logs').length, 0);
+  });
+});
@@ -0,0 +1,199 @@
+const { createContext, drainQueue, withServer, signRequest, slackTs } = require('./helpers');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment-timezone');
+
+const DATE = '2026-10-19';
+let eventCounter = 0;
+
+function messageEvent(time, text, overrides = {}) {
+  return { type: 'message', user: 'U1', channel: 'C0000309', text, ts: slackTs(DATE, time), ...overrides };
+}
+
+function callback(event, eventId = `Ev${++eventCounter}`) {
+  return { type: 'event_callback', event_id: eventId, event };
+}
+
+describe('POST /slack/events', () => {
+  let context;
+
+  beforeEach(async () => {
+    context = await createContext();
+  });
+
+  afterEach(() => {
+    context.cleanup();
+  });
+
+  // Signed delivery, like Slack's; extra headers e.g. X-Slack-Retry-Num
+  function deliver(baseUrl, payload, headers = {}) {
+    const body = JSON.stringify(payload);
+    return fetch(`${baseUrl}/slack/events`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...signRequest(body), ...headers },
+      body
+    });
+  }
+
+  // Deliver, then run the queued job the way the worker would
+  async function post(baseUrl, payload, headers) {
+    const response = await deliver(baseUrl, payload, headers);
+    await drainQueue(context.jobQueue);
+    return response;
+  }
+
+  it('answers the URL verification challenge', async () => {
+    await withServer(context.app, async baseUrl => {
+      const response = await deliver(baseUrl, { type: 'url_verification', challenge: 'abc123' });
+      assert.equal(response.status, 200);
+      assert.deepEqual(await response.json(), { challenge: 'abc123' });
+    });
+  });
+
+  it('rejects unsigned and badly signed requests', async () => {
+    await withServer(context.app, async baseUrl => {
+      const body = JSON.stringify(callback(messageEvent('09:30:00', '#daily-task')));
+
+      const unsigned = await fetch(`${baseUrl}/slack/events`, {
+        method: 'POST', headers: { 'content-type': 'application/json' }, body
+      });
+      const forged = await fetch(`${baseUrl}/slack/events`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...signRequest(body, { secret: 'wrong' }) },
+        body
+      });
+
+      assert.equal(unsigned.status, 401);
+      assert.equal(forged.status, 401);
+      assert.equal(context.jobQueue.data.pending.length, 0);
+    });
+  });
+
+  it('records a keyword message in raw_logs and daily_summary and reacts to it', async () => {
+    await withServer(context.app, async baseUrl => {
+      const event = messageEvent('09:30:00', 'Morning! #daily-task');
+      const response = await post(baseUrl, callback(event), { 'x-request-id': 'req-1' });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('x-request-id'), 'req-1');
+
+      const rows = context.sheetsApi.rows('raw_logs');
+      assert.equal(rows.length, 1);
+      const [row] = rows;
+      assert.deepEqual([row[0], row[1], row[2], row[3], row[4]], [DATE, '09:30:00', 'Alice', 'team-309', '#daily-task']);
+
+      const [summary] = await context.storage.getDailySummaries(DATE, DATE);
+      assert.equal(summary.userId, 'U1');
+      assert.equal(summary.taskStartTime, '09:30:00');
+
+      assert.deepEqual(context.slack.callsTo('reactions.add'), [
+        { channel: 'C0000309', timestamp: event.ts, name: 'white_check_mark' }
+      ]);
+    });
+  });
+
+  it('processes a redelivered event only once', async () => {
+    await withServer(context.app, async baseUrl => {
+      const payload = callback(messageEvent('09:30:00', '#daily-task'));
+
+      await post(baseUrl, payload);
+      const retry = await post(baseUrl, payload, { 'x-slack-retry-num': '1', 'x-slack-retry-reason': 'http_timeout' });
+
+      assert.equal(retry.status, 200);
+      assert.equal(context.sheetsApi.rows('raw_logs').length, 1);
+    });
+  });
+
+  it('ignores messages without keywords, from bots and from other channels', async () => {
+    await withServer(context.app, async baseUrl => {
+      await post(baseUrl, callback(messageEvent('09:00:00', 'good morning')));
+      await post(baseUrl, callback(messageEvent('09:05:00', '#entry', { bot_id: 'B1', user: 'UBOT' })));
+      await post(baseUrl, callback(messageEvent('09:10:00', '#entry', { channel: 'C000RAND' })));
+
+      assert.equal(context.sheetsApi.rows('raw_logs').length, 0);
+      assert.equal(context.slack.callsTo('reactions.add').length, 0);
+    });
+  });
+
+  it('sends the day summary DM on #daily-report', async () => {
+    await withServer(context.app, async baseUrl => {
+      await post(baseUrl, callback(messageEvent('09:30:00', '#daily-task')));
+      await post(baseUrl, callback(messageEvent('13:00:00', '#lunchstart')));
+      await post(baseUrl, callback(messageEvent('13:30:00', '#lunchend')));
+      await post(baseUrl, callback(messageEvent('18:30:00', '#daily-report')));
+
+      const dms = context.slack.callsTo('chat.postMessage').filter(message => message.channel === 'U1');
+      assert.equal(dms.length, 1);
+      assert.equal(dms[0].text, `Your day ${DATE}: net working hours 8:30`);
+    });
+  });
+
+  it('still sends the day summary DM when a retried job finds #daily-report already logged', async () => {
+    const event = messageEvent('18:30:00', '#daily-report');
+    // The first attempt stores the event, then fails writing the summary
+    const upsert = context.storage.upsertDailySummary;
+    context.storage.upsertDailySummary = async () => {
+      context.storage.upsertDailySummary = upsert;
+      throw new Error('Quota exceeded');
+    };
+
+    await assert.rejects(context.slackEventService.handleEvent(event), /Quota exceeded/);
+    await context.slackEventService.handleEvent(event);
+
+    assert.equal(context.sheetsApi.rows('raw_logs').length, 1);
+    const dms = context.slack.callsTo('chat.postMessage').filter(message => message.channel === 'U1');
+    assert.equal(dms.length, 1);
+  });
+
+  it('voids the events of a deleted message', async () => {
+    await withServer(context.app, async baseUrl => {
+      const original = messageEvent('11:00:00', '#breakstart');
+      await post(baseUrl, callback(messageEvent('09:30:00', '#daily-task')));
+      await post(baseUrl, callback(original));
+      await post(baseUrl, callback({
+        type: 'message',
+        subtype: 'message_deleted',
+        channel: 'C0000309',
+        deleted_ts: original.ts,
+        event_ts: slackTs(DATE, '11:02:00'),
+        ts: slackTs(DATE, '11:02:00'),
+        previous_message: { user: 'U1', text: '#breakstart', ts: original.ts }
+      }));
+
+      const events = context.attendanceService.getEffectiveEvents(await context.storage.getEvents(DATE));
+      assert.deepEqual(events.map(event => event.keyword), ['#daily-task']);
+    });
+  });
+
+  it('voids a deleted message on the work date of a remote poster', async () => {
+    await withServer(context.app, async baseUrl => {
+      // 23:00 in London is already the next day in the team's timezone (Asia/Kolkata)
+      const ts = `${moment.tz(`${DATE} 23:00:00`, 'Europe/London').unix()}.000100`;
+      await post(baseUrl, callback(messageEvent('23:00:00', '#breakstart', { user: 'U2', ts })));
+      await post(baseUrl, callback({
+        type: 'message',
+        subtype: 'message_deleted',
+        channel: 'C0000309',
+        deleted_ts: ts,
+        event_ts: `${moment.tz(`${DATE} 23:05:00`, 'Europe/London').unix()}.000200`,
+        previous_message: { user: 'U2', text: '#breakstart', ts }
+      }));
+
+      const events = context.attendanceService.getEffectiveEvents(await context.storage.getEvents(DATE));
+      assert.deepEqual(events, []);
+      assert.equal(context.sheetsApi.rows('raw_logs').length, 2);
+    });
+  });
+
+  it('uses the new display name after a user_change event', async () => {
+    await withServer(context.app, async baseUrl => {
+      await post(baseUrl, callback(messageEvent('09:30:00', '#daily-task')));
+      await post(baseUrl, callback({ type: 'user_change', user: { id: 'U1', name: 'alice', real_name: 'Alice Smith', tz: 'Asia/Kolkata' } }));
+      await post(baseUrl, callback(messageEvent('11:00:00', '#breakstart')));
+
+      const names = context.sheetsApi.rows('raw_logs').map(row => row[2]);
+      assert.deepEqual(names, ['Alice', 'Alice Smith']);
+      assert.equal(context.slack.callsTo('users.info').length, 1);
+    });
+  });
+});
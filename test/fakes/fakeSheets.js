@@ -0,0 +1,188 @@
+// In-memory stand-in for the googleapis `sheets` client: the subset of
+// spreadsheets / spreadsheets.values that GoogleSheetsService calls, on plain
+// string grids. Cells are stored as strings, as the real API returns them.
+
+function columnIndex(letters) {
+  return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function columnLetter(index) {
+  let letter = '';
+  for (let number = index + 1; number > 0; number = Math.floor((number - 1) / 26)) {
+    letter = String.fromCharCode(65 + (number - 1) % 26) + letter;
+  }
+  return letter;
+}
+
+// "raw_logs!A2:M14", "raw_logs!A:M", "weekly_summary!A2:Z"
+function parseRange(range) {
+  const [sheet, cells] = range.split('!');
+  const match = cells.match(/^([A-Z]+)(\d*)(?::([A-Z]+)(\d*))?$/);
+  if (!match) {
+    throw new Error(`Unsupported range: ${range}`);
+  }
+  const [, startColumn, startRow, endColumn, endRow] = match;
+  return {
+    sheet,
+    startColumn: columnIndex(startColumn),
+    endColumn: columnIndex(endColumn || startColumn),
+    startRow: startRow ? parseInt(startRow, 10) - 1 : 0,
+    endRow: endRow ? parseInt(endRow, 10) - 1 : null
+  };
+}
+
+function apiError(message, code = 400) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class FakeSheetsApi {
+  constructor() {
+    this.grids = new Map();
+    this.calls = [];
+    this.failNext = null;
+
+    const api = method => params => this.handle(method, params);
+    this.spreadsheets = {
+      get: api('get'),
+      batchUpdate: api('batchUpdate'),
+      values: {
+        get: api('values.get'),
+        batchGet: api('values.batchGet'),
+        update: api('values.update'),
+        batchUpdate: api('values.batchUpdate'),
+        append: api('values.append'),
+        clear: api('values.clear')
+      }
+    };
+  }
+
+  // Make the next call of a method reject, e.g. a quota error
+  failOnce(method, error = apiError('Quota exceeded', 429)) {
+    this.failNext = { method, error };
+  }
+
+  addSheet(name, rows = []) {
+    this.grids.set(name, rows.map(row => row.map(String)));
+  }
+
+  // Rows of a sheet without its header, trailing empty rows dropped
+  rows(name) {
+    return this.grid(name).slice(1).filter(row => row.some(cell => cell !== ''));
+  }
+
+  grid(name) {
+    if (!this.grids.has(name)) {
+      throw apiError(`Unable to parse range: ${name}`);
+    }
+    return this.grids.get(name);
+  }
+
+  async handle(method, params) {
+    this.calls.push(method);
+    if (this.failNext && this.failNext.method === method) {
+      const { error } = this.failNext;
+      this.failNext = null;
+      throw error;
+    }
+    return { data: this[`do_${method.replace('.', '_')}`](params) };
+  }
+
+  do_get() {
+    return { sheets: [...this.grids.keys()].map(title => ({ properties: { title } })), properties: { title: 'Attendance' } };
+  }
+
+  do_batchUpdate({ resource }) {
+    resource.requests.forEach(request => {
+      if (request.addSheet) {
+        this.addSheet(request.addSheet.properties.title);
+      }
+    });
+    return {};
+  }
+
+  read(range) {
+    const { sheet, startColumn, endColumn, startRow, endRow } = parseRange(range);
+    const grid = this.grid(sheet);
+    const last = endRow === null ? grid.length - 1 : Math.min(endRow, grid.length - 1);
+    const values = [];
+    for (let row = startRow; row <= last; row++) {
+      const cells = (grid[row] || []).slice(startColumn, endColumn + 1);
+      while (cells.length > 0 && cells[cells.length - 1] === '') {
+        cells.pop();
+      }
+      values.push(cells);
+    }
+    while (values.length > 0 && values[values.length - 1].length === 0) {
+      values.pop();
+    }
+    return values.length > 0 ? { range, values } : { range };
+  }
+
+  write(range, values) {
+    const { sheet, startColumn, startRow } = parseRange(range);
+    const grid = this.grid(sheet);
+    values.forEach((rowValues, offset) => {
+      const row = grid[startRow + offset] || [];
+      rowValues.forEach((value, column) => {
+        while (row.length < startColumn + column) {
+          row.push('');
+        }
+        row[startColumn + column] = value === null || value === undefined ? '' : String(value);
+      });
+      grid[startRow + offset] = row;
+    });
+    for (let index = 0; index < grid.length; index++) {
+      grid[index] = grid[index] || [];
+    }
+  }
+
+  do_values_get({ range }) {
+    return this.read(range);
+  }
+
+  do_values_batchGet({ ranges }) {
+    return { valueRanges: ranges.map(range => this.read(range)) };
+  }
+
+  do_values_update({ range, resource }) {
+    this.write(range, resource.values);
+    return {};
+  }
+
+  do_values_batchUpdate({ resource }) {
+    resource.data.forEach(({ range, values }) => this.write(range, values));
+    return {};
+  }
+
+  // Appends after the last row with data, like the real API's table detection
+  do_values_append({ range, resource }) {
+    const { sheet, startColumn } = parseRange(range);
+    const grid = this.grid(sheet);
+    let next = grid.length;
+    while (next > 0 && !(grid[next - 1] || []).some(cell => cell !== '')) {
+      next--;
+    }
+
+    this.write(`${sheet}!${columnLetter(startColumn)}${next + 1}`, resource.values);
+    const lastColumn = columnLetter(startColumn + Math.max(...resource.values.map(row => row.length)) - 1);
+    return {
+      updates: { updatedRange: `${sheet}!${columnLetter(startColumn)}${next + 1}:${lastColumn}${next + resource.values.length}` }
+    };
+  }
+
+  do_values_clear({ range }) {
+    const { sheet, startColumn, endColumn, startRow, endRow } = parseRange(range);
+    const grid = this.grid(sheet);
+    const last = endRow === null ? grid.length - 1 : Math.min(endRow, grid.length - 1);
+    for (let row = startRow; row <= last; row++) {
+      for (let column = startColumn; column <= endColumn && grid[row] && column < grid[row].length; column++) {
+        grid[row][column] = '';
+      }
+    }
+    return {};
+  }
+}
+
+module.exports = FakeSheetsApi;
@@ -0,0 +1,65 @@
+// In-memory stand-in for @slack/web-api's WebClient: the methods the services
+// call, backed by a fixed workspace. Every call is recorded in `calls` as
+// [method, options]; errors look like the SDK's platform errors (error.data.error).
+
+function platformError(code) {
+  const error = new Error(`An API error occurred: ${code}`);
+  error.code = 'slack_webapi_platform_error';
+  error.data = { ok: false, error: code };
+  return error;
+}
+
+class FakeSlack {
+  constructor({ users = [], channels = [], members = {} } = {}) {
+    this.userRecords = new Map(users.map(user => [user.id, user]));
+    this.channelRecords = new Map(channels.map(channel => [channel.id, channel]));
+    this.members = members; // channel ID -> user IDs
+    this.calls = [];
+
+    const method = (name, fn) => async (options = {}) => {
+      this.calls.push([name, options]);
+      return fn(options);
+    };
+
+    this.auth = {
+      test: method('auth.test', () => ({ ok: true, user_id: 'UBOT', team: 'Test' }))
+    };
+    this.users = {
+      info: method('users.info', ({ user }) => {
+        if (!this.userRecords.has(user)) {
+          throw platformError('user_not_found');
+        }
+        return { ok: true, user: this.userRecords.get(user) };
+      }),
+      list: method('users.list', () => ({ ok: true, members: [...this.userRecords.values()], response_metadata: {} }))
+    };
+    this.conversations = {
+      info: method('conversations.info', ({ channel }) => {
+        if (!this.channelRecords.has(channel)) {
+          throw platformError('channel_not_found');
+        }
+        return { ok: true, channel: this.channelRecords.get(channel) };
+      }),
+      list: method('conversations.list', () => ({ ok: true, channels: [...this.channelRecords.values()], response_metadata: {} })),
+      members: method('conversations.members', ({ channel }) => ({
+        ok: true, members: this.members[channel] || [], response_metadata: {}
+      }))
+    };
+    this.chat = {
+      postMessage: method('chat.postMessage', ({ channel }) => ({ ok: true, channel, ts: `${Date.now() / 1000}` }))
+    };
+    this.reactions = {
+      add: method('reactions.add', () => ({ ok: true }))
+    };
+    this.views = {
+      open: method('views.open', () => ({ ok: true }))
+    };
+  }
+
+  // Options of every recorded call of a method
+  callsTo(name) {
+    return this.calls.filter(([method]) => method === name).map(([, options]) => options);
+  }
+}
+
+module.exports = FakeSlack;
@@ -0,0 +1,192 @@
+// Fixture days for AttendanceService. `posts` are keyword messages in the order
+// Slack delivered them as [time, keyword]; `redeliver` lists indexes of posts
+// delivered a second time. `expected` is checked against the stored daily_summary
+// row, with the team policy of test/fixtures/teams.json (8 h required, overtime
+// after 9 h, 30 min minimum lunch, rounding to the nearest 15 min).
+
+module.exports = [
+  {
+    name: 'a regular day',
+    date: '2026-10-19',
+    posts: [
+      ['09:20:00', '#entry'],
+      ['09:30:00', '#daily-task'],
+      ['13:00:00', '#lunchstart'],
+      ['13:40:00', '#lunchend'],
+      ['18:30:00', '#daily-report'],
+      ['18:40:00', '#exit']
+    ],
+    rawRows: 6,
+    expected: {
+      status: 'Present',
+      entryTime: '09:20:00',
+      exitTime: '18:40:00',
+      totalHours: '9:20',
+      taskStartTime: '09:30:00',
+      taskEndTime: '18:30:00',
+      lunchDuration: '0:40',
+      breakDuration: '0:00',
+      breakCount: '0',
+      netWorkingHours: '8:20',  // 9:00 - 0:40 lunch
+      adjustedHours: '8:15',    // 8:20 rounded to 15 min
+      shortfall: '0:00',
+      overtime: '0:00',
+      flags: '-'
+    }
+  },
+  {
+    name: 'multiple breaks',
+    date: '2026-10-19',
+    posts: [
+      ['09:30:00', '#daily-task'],
+      ['11:00:00', '#breakstart'],
+      ['11:15:00', '#breakend'],
+      ['13:00:00', '#lunchstart'],
+      ['13:45:00', '#lunchend'],
+      ['16:00:00', '#breakstart'],
+      ['16:10:00', '#breakend'],
+      ['17:00:00', '#breakstart'],
+      ['17:05:00', '#breakend'],
+      ['18:30:00', '#daily-report']
+    ],
+    rawRows: 10,
+    expected: {
+      lunchDuration: '0:45',
+      breakDuration: '0:30',    // 15 + 10 + 5
+      breakCount: '3',
+      netWorkingHours: '7:45',  // 9:00 - 0:45 - 0:30
+      adjustedHours: '7:45',
+      shortfall: '0:15',
+      overtime: '0:00',
+      flags: '-'
+    }
+  },
+  {
+    name: 'missing ends',
+    date: '2026-10-19',
+    posts: [
+      ['09:30:00', '#daily-task'],
+      ['11:00:00', '#breakstart'],
+      ['13:00:00', '#lunchstart'],
+      ['18:30:00', '#daily-report']
+    ],
+    rawRows: 4,
+    expected: {
+      lunchDuration: '0:00',
+      breakDuration: '0:00',
+      breakCount: '0',
+      netWorkingHours: '9:00',  // Nothing closed, nothing deducted
+      adjustedHours: '8:30',    // The 30 min minimum lunch still applies
+      flags: 'unclosed-break, lunch-without-end'
+    }
+  },
+  {
+    name: 'ends without a start',
+    date: '2026-10-19',
+    posts: [
+      ['09:30:00', '#daily-task'],
+      ['10:00:00', '#breakend'],
+      ['14:00:00', '#lunchend'],
+      ['18:30:00', '#daily-report']
+    ],
+    rawRows: 4,
+    expected: {
+      breakCount: '0',
+      netWorkingHours: '9:00',
+      flags: 'break-end-without-start, lunch-end-without-start'
+    }
+  },
+  {
+    name: 'out-of-order delivery',
+    date: '2026-10-19',
+    posts: [
+      ['09:30:00', '#daily-task'],
+      ['11:20:00', '#breakend'],
+      ['13:30:00', '#lunchend'],
+      ['11:00:00', '#breakstart'],
+      ['18:00:00', '#daily-report'],
+      ['13:00:00', '#lunchstart']
+    ],
+    rawRows: 6,
+    expected: {
+      taskEndTime: '18:00:00',
+      lunchDuration: '0:30',
+      breakDuration: '0:20',
+      breakCount: '1',
+      netWorkingHours: '7:40',  // 8:30 - 0:30 - 0:20
+      adjustedHours: '7:45',
+      shortfall: '0:15',
+      flags: '-'
+    }
+  },
+  {
+    name: 'duplicate deliveries',
+    date: '2026-10-19',
+    posts: [
+      ['09:30:00', '#daily-task'],
+      ['13:00:00', '#lunchstart'],
+      ['13:30:00', '#lunchend'],
+      ['18:30:00', '#daily-report']
+    ],
+    redeliver: [0, 2, 2],
+    rawRows: 4,
+    expected: {
+      lunchDuration: '0:30',
+      netWorkingHours: '8:30',
+      adjustedHours: '8:30',
+      shortfall: '0:00',
+      overtime: '0:00',
+      flags: '-'
+    }
+  },
+  {
+    name: 'overnight shift',
+    team: 'night-ops',  // Work day starts at 12:00, so 02:00 belongs to the previous date
+    date: '2026-10-19',
+    posts: [
+      ['22:00:00', '#daily-task'],
+      ['02:00:00', '#breakstart'],
+      ['02:30:00', '#breakend'],
+      ['06:30:00', '#daily-report']
+    ],
+    rawRows: 4,
+    expected: {
+      taskStartTime: '22:00:00',
+      taskEndTime: '06:30:00',
+      breakDuration: '0:30',
+      breakCount: '1',
+      netWorkingHours: '8:00',  // 8:30 - 0:30
+      adjustedHours: '7:30',    // Minus the 30 min minimum lunch
+      shortfall: '0:30',
+      flags: '-'
+    }
+  },
+  {
+    name: 'leave on a work day',
+    date: '2026-10-19',
+    posts: [
+      ['09:00:00', '#leave']
+    ],
+    rawRows: 1,
+    expected: {
+      status: 'Leave',
+      netWorkingHours: '0:00',
+      adjustedHours: '0:00',
+      flags: '-'
+    }
+  },
+  {
+    name: 'work on a holiday',
+    date: '2026-10-20',
+    posts: [
+      ['10:00:00', '#daily-task'],
+      ['14:00:00', '#daily-report']
+    ],
+    rawRows: 2,
+    expected: {
+      status: 'Present',
+      netWorkingHours: '4:00',
+      adjustedHours: '3:30'
+    }
+  }
+];
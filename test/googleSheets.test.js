@@ -0,0 +1,242 @@
+const { createSheetsStorage, createContext, keywordEvent } = require('./helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const FakeSheetsApi = require('./fakes/fakeSheets');
+const { RAW_LOG_COLUMNS, DAILY_SUMMARY_COLUMNS, ROLLUP_COLUMNS } = require('../src/services/storage');
+
+const DATE = '2026-10-19';
+
+function headers(columns) {
+  return columns.map(column => column.header);
+}
+
+function summary(overrides = {}) {
+  return { date: DATE, employeeName: 'Alice', userId: 'U1', team: 'team-309', netWorkingHours: '8:00', ...overrides };
+}
+
+describe('GoogleSheetsService schema', () => {
+  it('creates every sheet with its header row', async () => {
+    const { sheetsApi } = await createSheetsStorage();
+
+    assert.deepEqual([...sheetsApi.grids.keys()], ['raw_logs', 'daily_summary', 'weekly_summary', 'monthly_summary', 'corrections']);
+    assert.deepEqual(sheetsApi.grid('raw_logs')[0], headers(RAW_LOG_COLUMNS));
+    assert.deepEqual(sheetsApi.grid('daily_summary')[0], headers(DAILY_SUMMARY_COLUMNS));
+    assert.deepEqual(sheetsApi.grid('weekly_summary')[0], headers(ROLLUP_COLUMNS));
+  });
+
+  it('rewrites outdated headers without touching the data rows', async () => {
+    const sheetsApi = new FakeSheetsApi();
+    sheetsApi.addSheet('raw_logs', [['Date', 'Time', 'Old Column'], [DATE, '09:30:00', 'Alice']]);
+
+    await createSheetsStorage(sheetsApi);
+
+    assert.deepEqual(sheetsApi.grid('raw_logs')[0], headers(RAW_LOG_COLUMNS));
+    assert.deepEqual(sheetsApi.rows('raw_logs'), [[DATE, '09:30:00', 'Alice']]);
+  });
+});
+
+describe('GoogleSheetsService cache', () => {
+  it('loads the events and summaries already in the spreadsheet', async () => {
+    const sheetsApi = new FakeSheetsApi();
+    sheetsApi.addSheet('raw_logs', [
+      headers(RAW_LOG_COLUMNS),
+      [DATE, '09:30:00', 'Alice', 'team-309', '#daily-task', 'slack', '-', '1792382400.000100', 'log', '-', 'team-309', 'U1']
+    ]);
+    sheetsApi.addSheet('daily_summary', [
+      headers(DAILY_SUMMARY_COLUMNS),
+      [DATE, 'Alice', '-', '-', '0:00', '09:30:00', '-', '0:00', '0:00', '0', '0:00', 'team-309', 'U1']
+    ]);
+    const { storage } = await createSheetsStorage(sheetsApi);
+
+    const events = await storage.getEvents(DATE);
+    const summaries = await storage.getDailySummaries(DATE, DATE);
+
+    assert.deepEqual(events.map(event => [event.time, event.keyword, event.userId]), [['09:30:00', '#daily-task', 'U1']]);
+    assert.equal(summaries[0].taskStartTime, '09:30:00');
+    assert.deepEqual(await storage.getEvents('2026-10-18'), []);
+  });
+
+  it('appends events to raw_logs and the day cache', async () => {
+    const { storage, sheetsApi } = await createSheetsStorage();
+
+    await storage.appendEvent(keywordEvent(DATE, '09:30:00', '#daily-task'));
+
+    assert.equal(sheetsApi.rows('raw_logs')[0][4], '#daily-task');
+    assert.equal((await storage.getEvents(DATE)).length, 1);
+  });
+
+  it('writes summaries of the same moment in one append, then updates them in place', async () => {
+    const { storage, sheetsApi } = await createSheetsStorage();
+    await storage.getDailySummaries(DATE, DATE);
+    sheetsApi.calls.length = 0;
+
+    await Promise.all([
+      storage.upsertDailySummary(summary()),
+      storage.upsertDailySummary(summary({ employeeName: 'Bob', userId: 'U2' }))
+    ]);
+    // New keys are looked up in the sheet first, in case another instance added them
+    assert.deepEqual(sheetsApi.calls, ['values.batchGet', 'values.append']);
+    assert.equal(sheetsApi.rows('daily_summary').length, 2);
+
+    sheetsApi.calls.length = 0;
+    await storage.upsertDailySummary(summary({ netWorkingHours: '8:30' }));
+    // The cached row is checked before it is overwritten
+    assert.deepEqual(sheetsApi.calls, ['values.batchGet', 'values.batchUpdate']);
+
+    const rows = sheetsApi.rows('daily_summary');
+    assert.equal(rows.length, 2);
+    assert.deepEqual(rows.map(row => [row[1], row[10]]), [['Alice', '8:30'], ['Bob', '8:00']]);
+  });
+
+  it('writes a bulk upsert in one batch without waiting for the flush delay', async () => {
+    const { storage, sheetsApi } = await createSheetsStorage();
+    await storage.getDailySummaries(DATE, '2026-10-28');
+    storage.flushDelayMs = 60 * 1000;
+    sheetsApi.calls.length = 0;
+
+    const rows = ['19', '20', '21', '22', '23', '26', '27', '28'].flatMap(day => [
+      summary({ date: `2026-10-${day}` }),
+      summary({ date: `2026-10-${day}`, employeeName: 'Bob', userId: 'U2' })
+    ]);
+    await storage.upsertDailySummaries(rows);
+
+    assert.deepEqual(sheetsApi.calls, ['values.batchGet', 'values.append']);
+    assert.equal(sheetsApi.rows('daily_summary').length, 16);
+  });
+
+  it('finds its row again after the sheet was sorted by hand', async () => {
+    const { storage, sheetsApi } = await createSheetsStorage();
+    await Promise.all([
+      storage.upsertDailySummary(summary()),
+      storage.upsertDailySummary(summary({ employeeName: 'Bob', userId: 'U2' }))
+    ]);
+
+    const grid = sheetsApi.grid('daily_summary');
+    [grid[1], grid[2]] = [grid[2], grid[1]];
+    await storage.upsertDailySummary(summary({ netWorkingHours: '9:00' }));
+
+    assert.deepEqual(sheetsApi.rows('daily_summary').map(row => [row[1], row[10]]), [['Bob', '8:00'], ['Alice', '9:00']]);
+  });
+
+  it('updates the row another instance appended instead of adding a second one', async () => {
+    const sheetsApi = new FakeSheetsApi();
+    const { storage: first } = await createSheetsStorage(sheetsApi);
+    const { storage: second } = await createSheetsStorage(sheetsApi);
+    await first.getDailySummaries(DATE, DATE);
+    await second.getDailySummaries(DATE, DATE);
+
+    await second.upsertDailySummary(summary());
+    await first.upsertDailySummary(summary({ netWorkingHours: '8:15' }));
+
+    assert.deepEqual(sheetsApi.rows('daily_summary').map(row => [row[1], row[10]]), [['Alice', '8:15']]);
+  });
+
+  it('keeps summaries whose write failed and writes them on the next reconcile', async () => {
+    const { storage, sheetsApi } = await createSheetsStorage();
+    await storage.getDailySummaries(DATE, DATE);
+
+    sheetsApi.failOnce('values.append');
+    await assert.rejects(storage.upsertDailySummary(summary()), /Quota exceeded/);
+    assert.equal(sheetsApi.rows('daily_summary').length, 0);
+
+    await storage.reconcile();
+
+    assert.deepEqual(sheetsApi.rows('daily_summary').map(row => [row[1], row[10]]), [['Alice', '8:00']]);
+  });
+
+  it('retries a failed write on its own', async () => {
+    const { storage, sheetsApi } = await createSheetsStorage();
+    await storage.getDailySummaries(DATE, DATE);
+    storage.flushRetryDelayMs = 10;
+
+    sheetsApi.failOnce('values.append');
+    await assert.rejects(storage.upsertDailySummary(summary()), /Quota exceeded/);
+    // The retry timer is unref'd, so keep the process alive until it has fired
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.deepEqual(sheetsApi.rows('daily_summary').map(row => [row[1], row[10]]), [['Alice', '8:00']]);
+    assert.equal(storage.pendingFlush, null);
+  });
+
+  it('picks up manual edits on reconcile', async () => {
+    const { storage, sheetsApi } = await createSheetsStorage();
+    await storage.upsertDailySummary(summary());
+
+    sheetsApi.grid('daily_summary')[1][10] = '7:45';
+    const result = await storage.reconcile();
+
+    assert.equal(result.drifted, 1);
+    const [reloaded] = await storage.getDailySummaries(DATE, DATE);
+    assert.equal(reloaded.netWorkingHours, '7:45');
+  });
+});
+
+describe('GoogleSheetsService with several instances', () => {
+  it('recomputes the summaries of events another instance logged', async () => {
+    const context = await createContext();
+    try {
+      await context.storage.getDailySummaries(DATE, DATE);
+      const { storage: other } = await createSheetsStorage(context.sheetsApi);
+      await other.appendEvent(keywordEvent(DATE, '09:30:00', '#daily-task'));
+
+      const result = await context.storage.reconcile();
+
+      assert.deepEqual(result.changed, [{ date: DATE, userId: 'U1', team: 'team-309' }]);
+      const [recomputed] = await context.storage.getDailySummaries(DATE, DATE);
+      assert.equal(recomputed.taskStartTime, '09:30:00');
+      assert.equal(context.sheetsApi.rows('daily_summary').length, 1);
+    } finally {
+      context.cleanup();
+    }
+  });
+});
+
+describe('GoogleSheetsService.migrateRecords', () => {
+  it('rewrites rows in place and deletes the ones mapped to null', async () => {
+    const { storage, sheetsApi } = await createSheetsStorage();
+    await Promise.all([
+      storage.upsertDailySummary(summary({ userId: '-', team: '-' })),
+      storage.upsertDailySummary(summary({ employeeName: 'Bob', userId: 'U2' })),
+      storage.upsertDailySummary(summary({ date: '2026-10-20' }))
+    ]);
+
+    const changed = await storage.migrateRecords('dailySummary', record => {
+      if (record.userId === '-') {
+        return null;
+      }
+      return { ...record, netWorkingHours: '7:00' };
+    });
+
+    assert.equal(changed, 3);
+    assert.deepEqual(sheetsApi.rows('daily_summary').map(row => [row[0], row[1], row[10]]), [
+      [DATE, 'Bob', '7:00'],
+      ['2026-10-20', 'Alice', '7:00']
+    ]);
+    assert.equal((await storage.getDailySummaries(DATE, '2026-10-20')).length, 2);
+  });
+});
+
+describe('GoogleSheetsService roll-ups', () => {
+  it('replaces the rows of one period and keeps the others', async () => {
+    const { storage, sheetsApi } = await createSheetsStorage();
+    const row = (period, employeeName) => ({ period, employeeName, team: 'team-309', userId: 'U1' });
+
+    await storage.replaceRollup('weekly', '2026-W42', [row('2026-W42', 'Alice')]);
+    await storage.replaceRollup('weekly', '2026-W43', [row('2026-W43', 'Alice')]);
+    await storage.replaceRollup('weekly', '2026-W42', [row('2026-W42', 'Alice'), row('2026-W42', 'Bob')]);
+
+    const periods = sheetsApi.rows('weekly_summary').map(cells => cells[0]);
+    assert.deepEqual(periods, ['2026-W43', '2026-W42', '2026-W42']);
+  });
+});
+
+describe('GoogleSheetsService.checkHealth', () => {
+  it('succeeds when the spreadsheet is reachable and fails with the API error', async () => {
+    const { storage, sheetsApi } = await createSheetsStorage();
+
+    await storage.checkHealth();
+
+    sheetsApi.failOnce('get', new Error('The caller does not have permission'));
+    await assert.rejects(storage.checkHealth(), /does not have permission/);
+  });
+});
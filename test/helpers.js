@@ -0,0 +1,149 @@
+// Shared setup for the test suite. Required first by every test file: it points the
+// config loaders at test/fixtures and silences logs before any module reads them.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+process.env.TEAMS_CONFIG_PATH = path.join(__dirname, 'fixtures', 'teams.json');
+process.env.HOLIDAYS_CONFIG_PATH = path.join(__dirname, 'fixtures', 'holidays.json');
+process.env.SLACK_SIGNING_SECRET = 'test-signing-secret';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const moment = require('moment-timezone');
+const GoogleSheetsService = require('../src/services/googleSheets');
+const AttendanceService = require('../src/services/attendance');
+const JobQueue = require('../src/services/jobQueue');
+const { MemoryDedupStore } = require('../src/services/dedupStore');
+const { createServices, createApp } = require('../src/app');
+const { workDateTimeToUtc } = require('../src/utils/helpers');
+const { getTeamSettings } = require('../src/utils/teams');
+const FakeSheetsApi = require('./fakes/fakeSheets');
+const FakeSlack = require('./fakes/fakeSlack');
+
+const SIGNING_SECRET = process.env.SLACK_SIGNING_SECRET;
+
+const USERS = [
+  { id: 'U1', name: 'alice', real_name: 'Alice', tz: 'Asia/Kolkata' },
+  { id: 'U2', name: 'bob', real_name: 'Bob', tz: 'Europe/London' },
+  { id: 'UMGR', name: 'manager', real_name: 'Manager', tz: 'Asia/Kolkata' },
+  { id: 'UBOT', name: 'attendance', real_name: 'Attendance', is_bot: true }
+];
+
+const CHANNELS = [
+  { id: 'C0000309', name: 'team-309' },
+  { id: 'C0000NIG', name: 'night-ops' },
+  { id: 'C000RAND', name: 'random' }
+];
+
+// GoogleSheetsService on an in-memory spreadsheet, summaries flushed right away
+async function createSheetsStorage(sheetsApi = new FakeSheetsApi()) {
+  const storage = new GoogleSheetsService();
+  storage.sheets = sheetsApi;
+  storage.spreadsheetId = 'test-spreadsheet';
+  storage.flushDelayMs = 0;
+  await storage.ensureSchema();
+  return { storage, sheetsApi };
+}
+
+function createSlack() {
+  return new FakeSlack({
+    users: USERS.map(user => ({ ...user })),
+    channels: CHANNELS.map(channel => ({ ...channel })),
+    members: { C0000309: ['U1', 'U2', 'UBOT'] }
+  });
+}
+
+async function createAttendance() {
+  const { storage, sheetsApi } = await createSheetsStorage();
+  const attendanceService = new AttendanceService(storage, new MemoryDedupStore());
+  return { storage, sheetsApi, attendanceService };
+}
+
+// Every service and the Express app on fakes; the worker is not started, see drainQueue()
+async function createContext() {
+  const { storage, sheetsApi } = await createSheetsStorage();
+  const slack = createSlack();
+  const queueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attendance-test-'));
+  const jobQueue = new JobQueue({ filePath: path.join(queueDir, 'jobs.json') });
+  await jobQueue.initialize();
+
+  const services = createServices({ slackClient: slack, storage, dedupStore: new MemoryDedupStore(), jobQueue });
+  const app = createApp(services);
+
+  return {
+    ...services,
+    app,
+    slack,
+    sheetsApi,
+    cleanup: () => fs.rmSync(queueDir, { recursive: true, force: true })
+  };
+}
+
+// Wait until enqueue()'s own processDue() run and any due jobs are finished
+async function drainQueue(jobQueue) {
+  do {
+    await new Promise(resolve => setImmediate(resolve));
+    await jobQueue.processDue();
+  } while (jobQueue.running || jobQueue.nextDueJob());
+  await jobQueue.writeChain;
+}
+
+// Run the app on a free local port for the duration of fn
+async function withServer(app, fn) {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+// Slack's v0 signature headers for a raw request body
+function signRequest(body, { secret = SIGNING_SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const signature = 'v0=' + crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex');
+  return {
+    'x-slack-signature': signature,
+    'x-slack-request-timestamp': String(timestamp)
+  };
+}
+
+// Slack message ts for a time on a work date in a team's timezone
+function slackTs(date, time, teamName = 'team-309') {
+  const team = getTeamSettings(teamName);
+  return `${moment(workDateTimeToUtc(date, time, team.shiftCutoff, team.timezone)).unix()}.000100`;
+}
+
+// What SlackEventService hands to logEvent for a keyword posted at `time`
+function keywordEvent(date, time, keyword, { userId = 'U1', employeeName = 'Alice', teamName = 'team-309' } = {}) {
+  const team = getTeamSettings(teamName);
+  return {
+    date,
+    time,
+    utcTime: workDateTimeToUtc(date, time, team.shiftCutoff, team.timezone),
+    timezone: team.timezone,
+    userId,
+    employeeName,
+    slackUsername: employeeName.toLowerCase(),
+    channelName: team.channels[0],
+    team: teamName,
+    keyword,
+    slackTs: slackTs(date, time, teamName)
+  };
+}
+
+module.exports = {
+  USERS,
+  CHANNELS,
+  createSheetsStorage,
+  createSlack,
+  createAttendance,
+  createContext,
+  drainQueue,
+  withServer,
+  signRequest,
+  slackTs,
+  keywordEvent
+};
@@ -0,0 +1,82 @@
+const { createContext, drainQueue, withServer, signRequest } = require('./helpers');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const CorrectionService = require('../src/services/corrections');
+
+const DATE = '2026-10-19';
+
+// A submitted correction form asking to add a keyword
+function submission(values) {
+  const block = (id, value) => [id, { value }];
+  return {
+    type: 'view_submission',
+    user: { id: 'U1' },
+    view: {
+      callback_id: CorrectionService.REQUEST_VIEW,
+      private_metadata: JSON.stringify({ date: DATE, team: 'team-309' }),
+      state: {
+        values: Object.fromEntries([
+          block('type', { selected_option: { value: 'add' } }),
+          block('keyword', values.keyword ? { selected_option: { value: values.keyword } } : {}),
+          block('time', { selected_time: values.time }),
+          block('reason', { value: 'Forgot to post' })
+        ])
+      }
+    }
+  };
+}
+
+describe('POST /slack/interactions correction requests', () => {
+  let context;
+
+  beforeEach(async () => {
+    context = await createContext();
+  });
+
+  afterEach(() => {
+    context.cleanup();
+  });
+
+  function submit(baseUrl, payload) {
+    const body = new URLSearchParams({ payload: JSON.stringify(payload) }).toString();
+    return fetch(`${baseUrl}/slack/interactions`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded', ...signRequest(body) },
+      body
+    });
+  }
+
+  it('acknowledges the form, then records the request and notifies the approvers', async () => {
+    await withServer(context.app, async baseUrl => {
+      const response = await submit(baseUrl, submission({ keyword: '#entry', time: '09:30' }));
+      assert.equal(response.status, 200);
+      assert.equal(await response.text(), '');
+
+      await drainQueue(context.jobQueue);
+
+      const corrections = context.sheetsApi.rows('corrections');
+      assert.equal(corrections.length, 1);
+      const requests = context.slack.callsTo('chat.postMessage');
+      assert.deepEqual(requests.map(message => message.channel), ['UMGR']);
+    });
+  });
+
+  it('keeps the modal open with field errors', async () => {
+    await withServer(context.app, async baseUrl => {
+      const response = await submit(baseUrl, submission({ time: '09:30' }));
+
+      assert.deepEqual(await response.json(), { response_action: 'errors', errors: { keyword: 'Choose the keyword to add.' } });
+      assert.equal(context.jobQueue.data.pending.length, 0);
+    });
+  });
+
+  it('records a retried submission and notifies the approvers once', async () => {
+    const { submission: parsed } = context.correctionService.parseSubmission(submission({ keyword: '#entry', time: '09:30' }));
+
+    await context.correctionService.submit(parsed);
+    await context.correctionService.submit(parsed);
+
+    assert.equal(context.sheetsApi.rows('corrections').length, 1);
+    assert.equal(context.slack.callsTo('chat.postMessage').length, 1);
+  });
+});
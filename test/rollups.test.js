@@ -0,0 +1,49 @@
+const { createAttendance } = require('./helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RollupService = require('../src/services/rollups');
+
+function day(date, overrides = {}) {
+  return {
+    date,
+    userId: 'U1',
+    employeeName: 'Alice',
+    team: 'team-309',
+    status: 'Present',
+    entryTime: '-',
+    exitTime: '-',
+    taskStartTime: '09:30:00',
+    taskEndTime: '18:30:00',
+    lunchDuration: '0:30',
+    breakDuration: '0:00',
+    netWorkingHours: '8:30',
+    ...overrides
+  };
+}
+
+describe('RollupService', () => {
+  it('counts late arrivals after expectedStart plus grace only', async () => {
+    const { storage, attendanceService } = await createAttendance();
+    const rollups = new RollupService(storage, attendanceService);
+
+    assert.equal(rollups.isLate(day('2026-10-19', { taskStartTime: '09:45:00' })), false);
+    assert.equal(rollups.isLate(day('2026-10-19', { taskStartTime: '09:46:00' })), true);
+    // The earliest of #entry and #daily-task counts
+    assert.equal(rollups.isLate(day('2026-10-19', { entryTime: '09:20:00', taskStartTime: '10:30:00' })), false);
+  });
+
+  it('never counts a day without #entry or #daily-task as late', async () => {
+    const { storage, attendanceService } = await createAttendance();
+    const rollups = new RollupService(storage, attendanceService);
+    const days = [
+      day('2026-10-19', { status: 'WFH', taskStartTime: '-', taskEndTime: '-', netWorkingHours: '0:00' }),
+      day('2026-10-21', { taskStartTime: '-', taskEndTime: '-', netWorkingHours: '0:00' }),
+      day('2026-10-22', { taskStartTime: '10:00:00' })
+    ];
+
+    const [row] = rollups.buildRows(days, { period: '2026-W43' });
+
+    assert.equal(row.daysPresent, 3);
+    assert.equal(row.lateDays, 1);
+  });
+});
@@ -0,0 +1,40 @@
+const { createAttendance } = require('./helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment-timezone');
+const AlertScheduler = require('../src/services/scheduler');
+const { MemoryDedupStore } = require('../src/services/dedupStore');
+const { getTeamSettings } = require('../src/utils/teams');
+const FakeSlack = require('./fakes/fakeSlack');
+
+const TIMEZONE = 'Asia/Kolkata';
+const MEMBERS = [{ userId: 'U1', employeeName: 'Alice', timezone: TIMEZONE }];
+
+// night-ops (shiftCutoff 12:00) with an early-morning shift that belongs to the previous work date
+async function createScheduler() {
+  const { attendanceService } = await createAttendance();
+  const slack = new FakeSlack();
+  const roster = { getMembers: async () => MEMBERS, isChannelId: () => false };
+  const scheduler = new AlertScheduler(slack, attendanceService, new MemoryDedupStore(), roster);
+  const team = { ...getTeamSettings('night-ops'), expectedStart: '01:00', expectedEnd: '10:00' };
+  return { scheduler, slack, team };
+}
+
+function at(dateTime) {
+  return moment.tz(dateTime, TIMEZONE);
+}
+
+describe('AlertScheduler', () => {
+  it('checks the work date of the given time, with shift times before the cutoff on the next day', async () => {
+    const { scheduler, slack, team } = await createScheduler();
+
+    // Work date 2026-10-21, whose shift only starts at 01:00 on the 22nd
+    await scheduler.checkTeam(team, at('2026-10-21 13:00'));
+    assert.equal(slack.callsTo('chat.postMessage').length, 0);
+
+    await scheduler.checkTeam(team, at('2026-10-22 01:30'));
+    const [late] = slack.callsTo('chat.postMessage');
+    assert.equal(late.channel, 'U1');
+    assert.match(late.text, /haven't seen your #daily-task/);
+  });
+});
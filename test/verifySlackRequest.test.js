@@ -0,0 +1,75 @@
+const { signRequest } = require('./helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const verifySlackRequest = require('../src/middleware/verifySlackRequest');
+
+const BODY = JSON.stringify({ type: 'event_callback', event_id: 'Ev1', event: { type: 'message', text: '#entry' } });
+
+// Run the middleware on a request shaped like the body parsers leave it
+function verify(headers, rawBody = BODY) {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let nextCalled = false;
+  verifySlackRequest({ headers, rawBody, path: '/slack/events' }, res, () => { nextCalled = true; });
+  return { status: res.statusCode, body: res.body, nextCalled };
+}
+
+describe('verifySlackRequest', () => {
+  it('accepts a correctly signed request', () => {
+    const result = verify(signRequest(BODY));
+    assert.equal(result.nextCalled, true);
+  });
+
+  it('accepts a request signed up to five minutes ago', () => {
+    const result = verify(signRequest(BODY, { timestamp: Math.floor(Date.now() / 1000) - 290 }));
+    assert.equal(result.nextCalled, true);
+  });
+
+  it('rejects a request without signature headers', () => {
+    const result = verify({});
+    assert.deepEqual(result, { status: 401, body: 'Missing signature headers', nextCalled: false });
+  });
+
+  it('rejects a replayed request older than five minutes', () => {
+    const result = verify(signRequest(BODY, { timestamp: Math.floor(Date.now() / 1000) - 301 }));
+    assert.deepEqual(result, { status: 401, body: 'Request too old', nextCalled: false });
+  });
+
+  it('rejects a timestamp in the future', () => {
+    const result = verify(signRequest(BODY, { timestamp: Math.floor(Date.now() / 1000) + 600 }));
+    assert.equal(result.status, 401);
+    assert.equal(result.nextCalled, false);
+  });
+
+  it('rejects a timestamp that is not a number', () => {
+    const headers = { ...signRequest(BODY), 'x-slack-request-timestamp': 'yesterday' };
+    const result = verify(headers);
+    assert.deepEqual(result, { status: 401, body: 'Request too old', nextCalled: false });
+  });
+
+  it('rejects a body that does not match the signature', () => {
+    const result = verify(signRequest(BODY), BODY.replace('#entry', '#exit'));
+    assert.deepEqual(result, { status: 401, body: 'Invalid signature', nextCalled: false });
+  });
+
+  it('rejects a request signed with another secret', () => {
+    const result = verify(signRequest(BODY, { secret: 'someone-else' }));
+    assert.deepEqual(result, { status: 401, body: 'Invalid signature', nextCalled: false });
+  });
+
+  it('rejects a signature of the wrong length instead of throwing', () => {
+    const headers = { ...signRequest(BODY), 'x-slack-signature': 'v0=abc' };
+    const result = verify(headers);
+    assert.deepEqual(result, { status: 401, body: 'Invalid signature', nextCalled: false });
+  });
+});